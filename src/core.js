@@ -0,0 +1,2060 @@
+/**
+ * Morphing-Resistant Autosize
+ *
+ * A declarative, framework-agnostic library for automatically resizing textareas
+ * (and inputs, horizontally) that survives DOM morphing operations (Turbo,
+ * idiomorph, etc.)
+ *
+ * Usage:
+ *   <textarea autosize></textarea>
+ *   <textarea autosize="lazy"></textarea>
+ *   <textarea autosize autosize-min-rows="3" autosize-max-rows="10"></textarea>
+ *   <input autosize autosize-min-width="60" autosize-max-width="300">
+ *
+ * Features:
+ * - No style attribute conflicts with morphing
+ * - Detects content changes via value property override
+ * - Handles form resets, width changes, and dynamic elements
+ * - Finds textareas inside open shadow roots
+ * - Batches measurements across textareas once per animation frame
+ * - Lazy loading support for performance
+ *
+ * This module has no side effects: nothing is watched until a registry is
+ * created. Import `pure-autosize` instead to start watching the document
+ * right away.
+ */
+
+export function createRegistry(options = {}) {
+  return new AutosizeRegistry(options)
+}
+
+class AutosizeRegistry {
+  constructor({ selector = 'textarea[autosize], input[autosize]', root = document, debug = false, styles } = {}) {
+    this.selector = selector
+    this.root = root
+    this.debug = debug
+    this.destroyed = false
+    this.lazyLoader = new LazyLoader()
+    this.insertionWaiter = new InsertionWaiter()
+    this.stylesheetPool = new StylesheetPool(styles)
+    this.scheduler = new UpdateScheduler()
+    this.controllers = new Map()
+    this.groups = new Map()
+    this.mirrorHost = new MirrorHost()
+    this.windowResizeHandler = new WindowResizeHandler(this)
+    this.formResetHandler = new FormResetHandler(this)
+    this.fontLoadHandler = new FontLoadHandler(this)
+    this.printHandler = new PrintHandler(this)
+    this.cssQueryObserver = new CSSQueryObserver(selector, {
+      root,
+      observedAttributes: ['autosize-min-rows', 'autosize-max-rows', 'autosize-animate', 'autosize-min-width', 'autosize-max-width', 'placeholder'],
+      onAdded: element => this.attach(element),
+      onRemoved: element => this.detach(element),
+      onNodesRemoved: () => this.#detachDisconnected(),
+      onAttributeChanged: element => this.update(element, { reset: true, reason: 'attribute change' }),
+      onRootAdded: root => this.formResetHandler.observe(root),
+      onRootRemoved: root => this.formResetHandler.unobserve(root)
+    })
+  }
+
+  // Options: lazy, minRows, maxRows, followCaret, animate, growOnly, group,
+  // manual, measure and debug (textareas), minWidth and maxWidth (inputs).
+  // Each one falls back to the corresponding attribute.
+  attach(element, options = {}) {
+    if (this.destroyed || this.isAttached(element)) return
+
+    const lazy = options.lazy ?? autosizeTokens(element).includes('lazy')
+    if (lazy) {
+      this.lazyLoader.setup(element, () => this.#createController(element, options))
+    } else if (!element.isConnected) {
+      // Created inside a ResizeObserver callback, see skipFrame()
+      this.insertionWaiter.setup(element, () => {
+        this.#createController(element, options).layoutChangeHandler?.skipFrame()
+      })
+    } else {
+      this.#createController(element, options)
+    }
+  }
+
+  #createController(element, options) {
+    const controller = new Controller(element, this, options)
+    this.controllers.set(element, controller)
+    if (controller.resizer.groupName) this.#joinGroup(controller)
+    // Size new elements before the next paint, batched with any others
+    // attached in the same task.
+    this.scheduler.flushSoon()
+    dispatchAutosizeEvent(element, 'attached')
+    return controller
+  }
+
+  // Elements attached through the API needn't match the selector, so they're
+  // detached once they've left the document rather than when removed nodes
+  // match. A node that was only moved is back in by now.
+  #detachDisconnected() {
+    [...this.controllers.keys(), ...this.lazyLoader.observers.keys()].forEach(element => {
+      if (!element.isConnected) this.detach(element)
+    })
+  }
+
+  detach(element) {
+    const controller = this.controllers.get(element)
+    this.controllers.delete(element)
+    this.lazyLoader.cleanup(element)
+    this.insertionWaiter.cleanup(element)
+
+    if (controller) {
+      this.#leaveGroup(controller)
+      controller.destroy()
+      dispatchAutosizeEvent(element, 'detached')
+    }
+  }
+
+  #joinGroup(controller) {
+    const { resizer } = controller
+    if (!this.groups.has(resizer.groupName)) this.groups.set(resizer.groupName, new Set())
+    resizer.group = this.groups.get(resizer.groupName)
+    resizer.group.add(resizer)
+    controller.update({ reason: 'group member added' })
+  }
+
+  // The remaining members may have been as tall as the one that left
+  #leaveGroup(controller) {
+    const { resizer } = controller
+    if (!resizer.group) return
+
+    resizer.group.delete(resizer)
+    if (resizer.group.size === 0) {
+      this.groups.delete(resizer.groupName)
+    } else {
+      resizer.group.forEach(member => this.scheduler.schedule(member, { reason: 'group member removed' }))
+    }
+    resizer.group = null
+  }
+
+  // Lazy elements count as attached while they wait to become visible, and
+  // so do elements waiting to be inserted
+  isAttached(element) {
+    return this.controllers.has(element) ||
+      this.lazyLoader.observers.has(element) ||
+      this.insertionWaiter.observers.has(element)
+  }
+
+  update(element, options = {}) {
+    if (element) {
+      this.controllers.get(element)?.update(options)
+    } else {
+      this.controllers.forEach(c => c.update(options))
+    }
+  }
+
+  // Applies pending updates now instead of in the next animation frame
+  flush() {
+    this.scheduler.flush()
+  }
+
+  // Detaches every element and removes every observer, listener and sheet the
+  // registry added. A destroyed registry stays inert; create a new one to
+  // start over.
+  destroy() {
+    this.destroyed = true
+    this.cssQueryObserver.destroy()
+    this.lazyLoader.destroy()
+    this.insertionWaiter.destroy()
+    this.controllers.forEach((controller, element) => this.detach(element))
+    this.scheduler.destroy()
+    this.windowResizeHandler.destroy()
+    this.formResetHandler.destroy()
+    this.fontLoadHandler.destroy()
+    this.printHandler.destroy()
+    // Shared by every registry, and put back by the next one that needs it
+    CaretLocator.destroy()
+  }
+}
+
+// The autosize attribute holds a list of modes: autosize="lazy grow-only"
+function autosizeTokens(element) {
+  return (element.getAttribute('autosize') ?? '').split(/\s+/)
+}
+
+// Dispatches `autosize:<name>` on the element. Returns false if a cancelable
+// event was canceled.
+function dispatchAutosizeEvent(element, name, detail = {}, { cancelable = false } = {}) {
+  return element.dispatchEvent(new CustomEvent(`autosize:${name}`, {
+    bubbles: true,
+    composed: true,
+    cancelable,
+    detail
+  }))
+}
+
+class CSSQueryObserver {
+  constructor(selector, { root = document, observedAttributes = [], onAdded, onRemoved, onNodesRemoved, onAttributeChanged, onRootAdded, onRootRemoved }) {
+    this.selector = selector
+    this.root = root
+    this.onAdded = onAdded
+    this.onRemoved = onRemoved
+    this.onNodesRemoved = onNodesRemoved
+    this.onAttributeChanged = onAttributeChanged
+    this.onRootAdded = onRootAdded
+    this.onRootRemoved = onRootRemoved
+    this.observer = null
+    this.roots = new Set()
+    this.attributeNames = this.#parseAttributeNames(selector)
+    // Attributes that configure matched elements without affecting whether they match
+    this.observedAttributes = observedAttributes
+    this.unsubscribeShadowRoots = null
+    this.destroyed = false
+
+    if (document.readyState === 'loading') {
+      document.addEventListener('DOMContentLoaded', this.#init)
+    } else {
+      this.#init()
+    }
+  }
+
+  #init = () => {
+    // Destroyed while the document was still loading
+    if (this.destroyed) return
+    this.#setupMutationObserver()
+    // Shadow roots attached to hosts already in the document (custom element
+    // upgrades) never show up as added nodes, so hear about them directly.
+    this.unsubscribeShadowRoots = ShadowRootHook.subscribe(root => {
+      if (root.host.shadowRoot === root && this.#contains(root.host)) {
+        this.#observeRoot(root)
+      }
+    })
+    this.#observeRoot(this.root)
+  }
+
+  // Whether the node is inside our root, looking through shadow boundaries
+  #contains(node) {
+    for (let current = node; current; current = current.getRootNode().host) {
+      if (this.root.contains(current)) return true
+    }
+    return false
+  }
+
+  #parseAttributeNames(selector) {
+    // Extract attribute names from selector like "textarea[autosize]" or "div[data-foo][bar]"
+    const matches = selector.match(/\[([^\]]+)\]/g)
+    if (!matches) return []
+
+    return matches.map(match => {
+      // Remove brackets and extract just the attribute name (before = if present)
+      const attr = match.slice(1, -1)
+      return attr.split('=')[0]
+    })
+  }
+
+  #setupMutationObserver() {
+    this.observer = new MutationObserver(mutations => {
+      let nodesRemoved = false
+      mutations.forEach(mutation => {
+        if (mutation.removedNodes.length > 0) nodesRemoved = true
+        mutation.addedNodes.forEach(node => this.#processNode(node, this.onAdded))
+        mutation.removedNodes.forEach(node => this.#processNode(node, this.onRemoved))
+
+        if (mutation.type === "attributes") {
+          const target = mutation.target
+          if (!this.attributeNames.includes(mutation.attributeName)) {
+            this.onAttributeChanged?.(target, mutation.attributeName)
+          } else if (target.matches?.(this.selector)) {
+            this.onAdded(target)
+          } else {
+            this.onRemoved(target)
+          }
+        }
+      })
+      // Once per batch, after moved nodes have been inserted again
+      if (nodesRemoved) this.onNodesRemoved?.()
+    })
+  }
+
+  // A root is the document (or the element given as root) or an open shadow
+  // root; each one is watched by the same MutationObserver and searched on its
+  // own, since selectors stop at shadow boundaries.
+  #observeRoot(root) {
+    if (!this.roots.has(root)) {
+      this.roots.add(root)
+      const attributeFilter = [...this.attributeNames, ...this.observedAttributes]
+      this.observer.observe(root, {
+        childList: true,
+        subtree: true,
+        attributes: attributeFilter.length > 0,
+        attributeFilter: attributeFilter.length > 0 ? attributeFilter : undefined
+      })
+      this.onRootAdded?.(root)
+    }
+    this.#processNode(root, this.onAdded)
+  }
+
+  #processNode(node, callback) {
+    if (!node.querySelectorAll) return
+    // Nodes added to a detached shadow tree are not ours to manage
+    if (callback === this.onAdded && !node.isConnected) return
+
+    if (node.matches?.(this.selector)) {
+      callback(node)
+    }
+    node.querySelectorAll(this.selector).forEach(callback)
+
+    this.#openShadowRootsWithin(node).forEach(root => {
+      if (callback === this.onAdded) {
+        this.#observeRoot(root)
+      } else {
+        this.#processNode(root, callback)
+        if (this.roots.delete(root)) this.onRootRemoved?.(root)
+      }
+    })
+  }
+
+  #openShadowRootsWithin(node) {
+    const roots = node.shadowRoot ? [node.shadowRoot] : []
+    node.querySelectorAll('*').forEach(element => {
+      if (element.shadowRoot) roots.push(element.shadowRoot)
+    })
+    return roots
+  }
+
+  destroy() {
+    this.destroyed = true
+    document.removeEventListener('DOMContentLoaded', this.#init)
+    this.unsubscribeShadowRoots?.()
+    this.unsubscribeShadowRoots = null
+    this.observer?.disconnect()
+    this.observer = null
+    this.roots.clear()
+  }
+}
+
+// Element#attachShadow is wrapped once, globally, so that shadow roots created
+// after their host was inserted can still be found.
+class ShadowRootHook {
+  static listeners = new Set()
+  static originalAttachShadow = null
+  static attachShadow = null
+
+  static subscribe(listener) {
+    this.#install()
+    this.listeners.add(listener)
+    return () => {
+      this.listeners.delete(listener)
+      if (this.listeners.size === 0) this.#uninstall()
+    }
+  }
+
+  static #install() {
+    if (this.attachShadow) return
+
+    const originalAttachShadow = this.originalAttachShadow = Element.prototype.attachShadow
+    const listeners = this.listeners
+    this.attachShadow = function(...args) {
+      const root = originalAttachShadow.apply(this, args)
+      listeners.forEach(listener => listener(root))
+      return root
+    }
+    Element.prototype.attachShadow = this.attachShadow
+  }
+
+  // Once no registry listens the original goes back, so that each copy of
+  // the module loaded (after hot reloading, say) doesn't wrap the last one's
+  // wrapper. One wrapped again by someone else since has to stay.
+  static #uninstall() {
+    if (Element.prototype.attachShadow !== this.attachShadow) return
+    Element.prototype.attachShadow = this.originalAttachShadow
+    this.attachShadow = null
+    this.originalAttachShadow = null
+  }
+}
+
+class LazyLoader {
+  constructor() {
+    this.observers = new Map()
+    this.callbacks = new Map()
+  }
+
+  setup(element, onVisible) {
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          onVisible()
+          this.cleanup(element)
+        }
+      })
+    }, { rootMargin: '50px' })
+
+    observer.observe(element)
+    this.observers.set(element, observer)
+    this.callbacks.set(element, onVisible)
+  }
+
+  // Loads every element still waiting to become visible, as if it had
+  loadAll() {
+    this.callbacks.forEach((onVisible, element) => {
+      onVisible()
+      this.cleanup(element)
+    })
+  }
+
+  cleanup(element) {
+    this.observers.get(element)?.disconnect()
+    this.observers.delete(element)
+    this.callbacks.delete(element)
+  }
+
+  destroy() {
+    this.observers.forEach(observer => observer.disconnect())
+    this.observers.clear()
+    this.callbacks.clear()
+  }
+}
+
+// An element attached before it's inserted has no root to hold its rule and
+// nothing to measure, so like a lazy one it gets its controller later: once
+// it's in the document and has been laid out.
+class InsertionWaiter {
+  constructor() {
+    this.observers = new Map()
+  }
+
+  setup(element, onInserted) {
+    const onChange = () => {
+      if (!element.isConnected) return
+      this.cleanup(element)
+      onInserted()
+    }
+
+    let observer
+    if (typeof ResizeObserver === 'undefined') {
+      // Without ResizeObserver (jsdom, say), watch the document for it instead
+      observer = new MutationObserver(onChange)
+      observer.observe(document, { childList: true, subtree: true })
+    } else {
+      observer = new ResizeObserver(onChange)
+      observer.observe(element)
+    }
+    this.observers.set(element, observer)
+  }
+
+  cleanup(element) {
+    this.observers.get(element)?.disconnect()
+    this.observers.delete(element)
+  }
+
+  destroy() {
+    this.observers.forEach(observer => observer.disconnect())
+    this.observers.clear()
+  }
+}
+
+// Manages one textarea, or one input that autosizes horizontally
+class Controller {
+  constructor(element, manager, options = {}) {
+    this.element = element
+    this.scheduler = manager.scheduler
+    this.stylesheetManager = manager.stylesheetPool.managerFor(element)
+    if (element instanceof HTMLInputElement) {
+      this.resizer = new InputResizer(element, this.stylesheetManager, options)
+    } else {
+      this.resizer = new TextareaResizer(element, this.stylesheetManager, options)
+      // An input's width comes from its text, not from its layout
+      this.layoutChangeHandler = new LayoutChangeHandler(element, this)
+      if (this.resizer.growOnly) this.blurHandler = new BlurHandler(element, this)
+      if (this.resizer.manualPolicy) this.manualResizeHandler = new ManualResizeHandler(element, this)
+      if ((options.measure ?? element.getAttribute('autosize-measure')) === 'mirror') {
+        this.resizer.mirror = new MeasuringMirror(manager.mirrorHost)
+      }
+      if (options.debug ?? (manager.debug || element.hasAttribute('autosize-debug'))) {
+        this.resizer.diagnostics = new Diagnostics(this.resizer)
+      }
+    }
+    this.inputHandler = new InputHandler(element, this)
+    this.valueSetter = new ValueSetter(element, this)
+    this.contentObserver = new ContentObserver(element, this)
+    this.update({ reason: 'attach' })
+  }
+
+  update(options = {}) {
+    this.scheduler.schedule(this.resizer, options)
+    // A change to any member can change the height of the whole group
+    this.resizer.group?.forEach(member => {
+      if (member !== this.resizer) this.scheduler.schedule(member, { reason: 'group' })
+    })
+  }
+
+  destroy() {
+    this.scheduler.cancel(this.resizer)
+    this.valueSetter.destroy()
+    this.contentObserver.destroy()
+    this.layoutChangeHandler?.destroy()
+    this.blurHandler?.destroy()
+    this.manualResizeHandler?.destroy()
+    this.resizer.mirror?.destroy()
+    this.inputHandler.destroy()
+    this.stylesheetManager.destroy()
+  }
+}
+
+
+// Runs pending resizer updates together once per animation frame. Each phase
+// runs for every resizer before the next one starts, so layout is read and
+// written in separate passes instead of being forced once per textarea.
+class UpdateScheduler {
+  constructor() {
+    this.pending = new Map()
+    this.frame = null
+    this.microtaskQueued = false
+  }
+
+  schedule(resizer, options = {}) {
+    const pending = this.pending.get(resizer)
+    this.pending.set(resizer, pending ? this.#merge(pending, options) : { ...options })
+    this.frame ??= requestAnimationFrame(() => this.flush())
+  }
+
+  // Flushes at the end of the current task rather than waiting for a frame
+  flushSoon() {
+    if (this.microtaskQueued) return
+    this.microtaskQueued = true
+    queueMicrotask(() => {
+      this.microtaskQueued = false
+      this.flush()
+    })
+  }
+
+  cancel(resizer) {
+    this.pending.delete(resizer)
+  }
+
+  destroy() {
+    cancelAnimationFrame(this.frame)
+    this.frame = null
+    this.pending.clear()
+  }
+
+  flush() {
+    cancelAnimationFrame(this.frame)
+    this.frame = null
+    if (this.pending.size === 0) return
+
+    const batch = [...this.pending]
+    this.pending.clear()
+
+    batch.forEach(([resizer, options]) => resizer.prepare(options)) // read
+    batch.forEach(([resizer]) => resizer.clear()) // write
+    batch.forEach(([resizer]) => resizer.measure()) // read
+    batch.forEach(([resizer]) => resizer.align()) // groups, no layout access
+    batch.forEach(([resizer]) => resizer.confirm()) // cancelable event
+    batch.forEach(([resizer]) => resizer.apply()) // write
+    batch.forEach(([resizer]) => resizer.commitStartingSize()) // read, animated only
+    batch.forEach(([resizer]) => resizer.startTransition()) // write, animated only
+    batch.forEach(([resizer]) => resizer.restoreScrollPositions()) // scroll only
+    batch.forEach(([resizer]) => resizer.notify()) // events
+  }
+
+  // The earliest previousValue is what the current height was measured for
+  #merge(pending, options) {
+    return {
+      ...options,
+      ...pending,
+      previousValue: pending.previousValue ?? options.previousValue,
+      reset: pending.reset || options.reset,
+      shrink: pending.shrink || options.shrink,
+      formReset: pending.formReset || options.formReset
+    }
+  }
+}
+
+// Shared by both resizers: each update measures a new size, lets listeners
+// cancel it, writes it and reports what changed. Subclasses fill in
+// `state.size`, `state.css` and `state.overflowing` when measuring.
+class Resizer {
+  constructor(element, stylesheetManager, options = {}) {
+    this.element = element
+    this.stylesheetManager = stylesheetManager
+    this.options = options
+    this.state = null
+    this.overflowing = false
+  }
+
+  prepare(options = {}) {
+    this.state = {
+      options,
+      previousCss: this.stylesheetManager.cssRules,
+      previousSize: this.currentSize(),
+      size: null,
+      overflowing: false,
+      canceled: false,
+      css: null,
+      animation: null
+    }
+  }
+
+  clear() {}
+
+  align() {}
+
+  // Silent updates (printing) are temporary: they neither ask nor tell listeners
+  confirm() {
+    const { size, previousSize } = this.state
+    if (this.state.options.silent) return
+    if (size === null || Math.round(size) === previousSize) return
+
+    this.state.canceled = !dispatchAutosizeEvent(this.element, 'beforeresize', this.sizeDetail(previousSize, size), { cancelable: true })
+  }
+
+  apply() {
+    if (this.state.canceled) {
+      this.stylesheetManager.replace(this.state.previousCss)
+    } else if (this.state.css) {
+      this.stylesheetManager.replace(this.state.css)
+    }
+  }
+
+  commitStartingSize() {}
+
+  startTransition() {}
+
+  restoreScrollPositions() {}
+
+  // While a transition runs, currentSize() is still near the starting size
+  finalSize() {
+    return this.state.animation ? Math.round(this.state.size) : this.currentSize()
+  }
+
+  notify() {
+    const { size: plannedSize, previousSize, overflowing, canceled, options } = this.state
+    if (plannedSize === null || canceled || options.silent) {
+      this.state = null
+      return
+    }
+
+    const size = this.finalSize()
+    this.state = null
+    if (size !== previousSize) {
+      dispatchAutosizeEvent(this.element, 'resized', this.sizeDetail(previousSize, size))
+    }
+    if (overflowing !== this.overflowing) {
+      this.overflowing = overflowing
+      dispatchAutosizeEvent(this.element, 'overflow', { overflowing })
+    }
+  }
+
+  numericOption(option, attribute) {
+    const value = parseFloat(this.options[option] ?? this.element.getAttribute(attribute))
+    return value > 0 ? value : null
+  }
+}
+
+class TextareaResizer extends Resizer {
+  constructor(element, stylesheetManager, options) {
+    super(element, stylesheetManager, options)
+    this.sized = false
+    this.growOnly = options.growOnly ?? autosizeTokens(element).includes('grow-only')
+    this.groupName = options.group ?? element.getAttribute('autosize-group')
+    // The resizers of every attached textarea in the same group, this one included
+    this.group = null
+    // With autosize-manual, what a height dragged with the resize handle does:
+    // "stop" autosizing, or become the "min" height. Kept until a form reset.
+    const manual = options.manual ?? element.getAttribute('autosize-manual')
+    this.manualPolicy = manual === null ? null : (manual === 'min' ? 'min' : 'stop')
+    this.manualSize = null
+    // With autosize-measure="mirror", a hidden copy to measure the content on
+    this.mirror = null
+    // The max-height, overflow-y and height (as clientHeight) the page gives
+    // the textarea, as read the last time the sizing rule was empty. The
+    // mirror needs them, since the rule stays in place while it measures.
+    this.authorStyle = null
+    this.diagnostics = null
+    // Whether the last update found the textarea rendered (it has a scrollHeight)
+    this.rendered = null
+  }
+
+  prepare(options = {}) {
+    super.prepare(options)
+    // Resizing reflows scrollable ancestors, clamping their scrollTop.
+    this.state.restoreScrollPositions = this.#cacheScrollPositions(this.element)
+    this.state.rendered = this.element.scrollHeight !== 0
+    this.rendered = this.state.rendered
+    this.state.empty = this.element.value === ''
+    if (options.formReset) this.manualSize = null
+    // The first sizing after attaching is not animated
+    this.state.animation = this.sized && !options.printing ? this.#animation() : null
+    if (this.state.animation) {
+      // The height to transition from, even if a transition is under way
+      this.state.startingHeight = window.getComputedStyle(this.element).height
+      this.state.transitioning = this.element.getAnimations().some(animation => animation.transitionProperty === 'height')
+    }
+    this.state.unchanged = this.#editKeepsHeight()
+    this.state.clears = !this.state.unchanged && this.#needsClearing()
+    this.state.mirrored = this.state.clears && this.#measuresOnMirror()
+    if (this.state.mirrored) this.state.mirrorStyle = this.mirror.read(this.element)
+  }
+
+  currentSize() {
+    return this.element.offsetHeight
+  }
+
+  sizeDetail(previousHeight, height) {
+    return { previousHeight, height }
+  }
+
+  clear() {
+    // The mirror measures shrinking and growing alike, so the rule stays put
+    if (this.state.mirrored) {
+      this.mirror.write(this.state.mirrorStyle, this.element.value)
+    } else if (this.state.clears) {
+      // Temporarily clear our CSS rules to get accurate scrollHeight for the current content
+      this.stylesheetManager.reset()
+      this.state.cleared = true
+    }
+  }
+
+  // Only clear CSS for accurate measurement if height might reduce (expensive operation)
+  #needsClearing() {
+    const { previousValue, reset, formReset } = this.state.options
+    // Mid-transition, scrollHeight can't be smaller than the animated height.
+    // A grouped textarea may be taller than its own content, and a form reset
+    // drops grow-only and manual heights.
+    return !this.state.rendered || this.state.empty || reset || formReset || this.group ||
+      this.state.transitioning || this.#willReduceHeight(previousValue)
+  }
+
+  measure() {
+    const minRows = this.numericOption('minRows', 'autosize-min-rows')
+    const maxRows = this.numericOption('maxRows', 'autosize-max-rows')
+    if (!this.state.rendered) {
+      this.state.decision = 'not rendered, nothing to measure'
+      return
+    }
+    if (this.state.unchanged) {
+      this.state.size = this.state.previousSize
+      this.state.css = this.state.previousCss
+      this.state.overflowing = this.overflowing
+      this.state.decision = 'kept: the edit cannot change the height'
+      return
+    }
+
+    const computedStyle = window.getComputedStyle(this.element)
+    if (this.mirror && this.stylesheetManager.cssRules === '') {
+      this.authorStyle = {
+        maxHeight: computedStyle.maxHeight,
+        overflowY: computedStyle.overflowY,
+        clientHeight: this.element.clientHeight
+      }
+    }
+    const { maxHeight: maxHeightRule, overflowY } = this.state.mirrored ? this.authorStyle : computedStyle
+    // What a border-box size is more than a height rule, for aligning groups
+    this.state.boxSize = this.#toBorderBoxHeight(0, computedStyle)
+    this.state.maxSize = Infinity
+    this.state.overflowRule = ''
+
+    // A textarea sized by hand still prints all of its content
+    if (this.manualSize !== null && this.manualPolicy === 'stop' && !this.state.options.printing) {
+      this.#measureManualHeight(computedStyle)
+      return
+    }
+
+    // An empty textarea keeps the browser's default rows unless min rows says otherwise
+    if (this.state.empty && !minRows) {
+      this.state.size = this.element.offsetHeight
+      this.state.decision = 'empty, keeps the default rows'
+      return
+    }
+
+    // Recorded for diagnostics
+    this.state.scrollHeight = this.#scrollHeight()
+    this.state.contentHeight = this.state.empty ? 0 : this.#calculateHeightFromScrollHeight(this.state.scrollHeight, computedStyle)
+    this.state.decision = 'fits the content'
+
+    let newHeight = this.state.contentHeight
+    if (minRows) {
+      this.state.minHeight = this.#calculateHeightFromRows(minRows, computedStyle)
+      if (this.state.minHeight > newHeight) this.state.decision = 'raised to min rows'
+      newHeight = Math.max(newHeight, this.state.minHeight)
+    }
+    if (this.manualSize !== null && this.manualSize - this.state.boxSize > newHeight) {
+      this.state.decision = 'raised to the dragged height'
+      newHeight = this.manualSize - this.state.boxSize
+    }
+
+    // Handle max-height and max rows constraints, which printing lifts
+    const { printing } = this.state.options
+    let maxHeight = printing || maxHeightRule === 'none' ? Infinity : parseFloat(maxHeightRule)
+    if (maxRows && !printing) {
+      maxHeight = Math.min(maxHeight, this.#calculateHeightFromRows(maxRows, computedStyle))
+    }
+
+    let overflowRule = printing ? 'max-height: none !important;' : ''
+    if (newHeight > maxHeight) {
+      this.state.decision = 'clamped to max-height or max rows'
+      this.state.overflowing = true
+      if (overflowY === 'hidden') {
+        overflowRule = 'overflow: scroll !important;'
+      }
+      newHeight = maxHeight
+    } else if (overflowY !== 'hidden') {
+      overflowRule += 'overflow: hidden !important;'
+    }
+    this.state.maxHeight = maxHeight
+    this.state.maxSize = maxHeight + this.state.boxSize
+    this.state.overflowRule = overflowRule
+
+    // Grow-only textareas keep their height while focused, so deleting text
+    // doesn't make the layout jump
+    const size = this.#toBorderBoxHeight(newHeight, computedStyle)
+    if (this.#holdsHeight() && Math.round(size) < this.state.previousSize) {
+      this.state.size = this.state.previousSize
+      this.state.css = this.state.previousCss
+      this.state.overflowing = this.overflowing
+      this.state.decision = 'held while focused (grow-only)'
+      return
+    }
+
+    this.state.size = size
+    this.state.css = this.#heightCss(newHeight)
+  }
+
+  // Keeps the dragged height, scrolling whatever doesn't fit
+  #measureManualHeight(computedStyle) {
+    const contentSize = this.state.empty
+      ? 0
+      : this.#calculateHeightFromScrollHeight(this.#scrollHeight(), computedStyle) + this.state.boxSize
+    this.state.size = this.manualSize
+    this.state.decision = 'keeps the dragged height (autosize-manual="stop")'
+    this.state.overflowing = contentSize > this.manualSize
+    this.state.overflowRule = 'overflow-y: auto !important;'
+    this.state.css = this.#heightCss(this.manualSize - this.state.boxSize)
+  }
+
+  // Stands in for clearing the rule, except where the mirror can't: it doesn't
+  // know the default height of an empty textarea, and a reset may have
+  // changed the page's styles
+  #measuresOnMirror() {
+    const { reset, formReset } = this.state.options
+    return Boolean(this.mirror && this.authorStyle) &&
+      this.state.rendered && !this.state.empty && !reset && !formReset
+  }
+
+  // A cleared textarea's scrollHeight is never less than its natural height
+  // (its rows, or a height set by the page), so neither is the mirror's
+  #scrollHeight() {
+    if (!this.state.mirrored) return this.element.scrollHeight
+    return Math.max(this.mirror.scrollHeight, this.authorStyle.clientHeight)
+  }
+
+  // The resize handle writes an inline height, which the !important rule
+  // would override
+  releaseHeight() {
+    const css = this.stylesheetManager.cssRules
+    this.stylesheetManager.replace(css.replace(/(^|\s)height: ([^;]+) !important;/, '$1height: $2;'))
+  }
+
+  // Grouped textareas take the height of the group's tallest member. An
+  // update to one member schedules them all, so they're all in this batch.
+  align() {
+    if (!this.group || this.state.size === null) return
+
+    const tallest = Math.max(...[...this.group].map(member => member.state?.size ?? 0))
+    const size = Math.min(tallest, this.state.maxSize)
+    if (size <= this.state.size) return
+
+    this.state.size = size
+    this.state.css = this.#heightCss(size - this.state.boxSize)
+    this.state.decision = `raised to the tallest in autosize-group="${this.groupName}"`
+  }
+
+  #heightCss(height) {
+    // Transitions override !important declarations, so this animates the rule
+    const transitionRule = this.state.animation
+      ? `transition: height ${this.state.animation.duration}ms ease-out !important;`
+      : ''
+    return `
+      height: ${height}px !important;
+      overflow-x: hidden !important;
+      word-wrap: break-word !important;
+      ${this.state.overflowRule}
+      ${transitionRule}
+    `
+  }
+
+  // Clearing the rule to measure dropped the textarea to its natural height.
+  // Pin the height it had, so the transition starts from there.
+  apply() {
+    super.apply()
+    if (this.state.size !== null) this.sized = true
+    const { animation, cleared, startingHeight } = this.state
+    const css = this.stylesheetManager.cssRules
+    if (!animation || !cleared || css === '') return
+
+    this.state.targetCss = css
+    this.stylesheetManager.replace(`${css} height: ${startingHeight} !important; transition: none !important;`)
+  }
+
+  // Transitions start from the style as of the last style recalculation
+  commitStartingSize() {
+    if (this.state.targetCss) window.getComputedStyle(this.element).transitionProperty
+  }
+
+  startTransition() {
+    if (this.state.targetCss) this.stylesheetManager.replace(this.state.targetCss)
+  }
+
+  restoreScrollPositions() {
+    this.state.restoreScrollPositions()
+
+    if (this.#followsCaret() && this.state.size !== null && this.finalSize() !== this.state.previousSize) {
+      this.#revealCaret()
+    }
+  }
+
+  notify() {
+    this.diagnostics?.report(this.state)
+    super.notify()
+  }
+
+  #animation() {
+    const value = this.options.animate ?? this.element.getAttribute('autosize-animate')
+    if (value === null || value === false) return null
+    if (window.matchMedia('(prefers-reduced-motion: reduce)').matches) return null
+
+    const duration = parseFloat(value)
+    return { duration: duration >= 0 ? duration : 150 }
+  }
+
+  #followsCaret() {
+    const followCaret = this.options.followCaret ?? this.element.hasAttribute('autosize-follow-caret')
+    return followCaret && this.#hasFocus()
+  }
+
+  // Blur, form resets and the end of printing let the textarea fit its content
+  // again, as does clearing it (say, after sending a message)
+  #holdsHeight() {
+    const { shrink, formReset } = this.state.options
+    return this.growOnly && !shrink && !formReset && !this.state.empty && this.#hasFocus()
+  }
+
+  #hasFocus() {
+    return this.element.getRootNode().activeElement === this.element
+  }
+
+  // Scrolls the nearest scrollable ancestor just enough to bring the caret's
+  // line back into view. Runs after scroll positions were restored, so a
+  // caret that is still visible (say, after an edit above it) moves nothing.
+  #revealCaret() {
+    const scroller = this.#scrollableAncestor()
+    if (!scroller) return
+
+    const caret = CaretLocator.locate(this.element)
+    const visible = scroller === document.scrollingElement
+      ? { top: 0, bottom: window.innerHeight }
+      : this.#visibleArea(scroller)
+
+    if (caret.bottom > visible.bottom) {
+      scroller.scrollTop += caret.bottom - visible.bottom
+    } else if (caret.top < visible.top) {
+      scroller.scrollTop -= visible.top - caret.top
+    }
+  }
+
+  #scrollableAncestor() {
+    for (let current = this.element.parentElement; current; current = current.parentElement) {
+      const { overflowY } = window.getComputedStyle(current)
+      if (/auto|scroll|overlay/.test(overflowY) && current.scrollHeight > current.clientHeight) {
+        return current
+      }
+    }
+    return document.scrollingElement
+  }
+
+  #visibleArea(scroller) {
+    const top = scroller.getBoundingClientRect().top + scroller.clientTop
+    return { top, bottom: top + scroller.clientHeight }
+  }
+
+  #cacheScrollPositions(element) {
+    const positions = []
+    let current = element
+    while (current && current.parentNode && current.parentNode instanceof Element) {
+      if (current.parentNode.scrollTop) {
+        positions.push([current.parentNode, current.parentNode.scrollTop])
+      }
+      current = current.parentNode
+    }
+    // scrollTop only: writing inline styles here would break morph-safety.
+    return () => {
+      positions.forEach(([node, scrollTop]) => {
+        node.scrollTop = scrollTop
+      })
+    }
+  }
+
+  #willReduceHeight(previousValue) {
+    if (!previousValue) return false
+    return !this.#isInsertion(previousValue)
+  }
+
+  // Whether the value is the previous one with text inserted in one place,
+  // as typing and pasting without a selection leave it. Inserting text can't
+  // take lines away. Apart from appending, the caret marks where the text
+  // went in, so this is a couple of string comparisons even for huge values.
+  #isInsertion(previousValue) {
+    const value = this.element.value
+    const inserted = value.length - previousValue.length
+    if (inserted < 0) return false
+    if (value.startsWith(previousValue)) return true
+
+    const start = this.element.selectionEnd - inserted
+    return start >= 0 &&
+      value.startsWith(previousValue.slice(0, start)) &&
+      value.endsWith(previousValue.slice(start))
+  }
+
+  // Whether an edit can be left without measuring: an insertion that still
+  // fits the current height, or any edit that leaves more content than a
+  // textarea capped at its max height can show. Either way the textarea
+  // keeps its height and rule, which matters for large values where every
+  // measurement lays out all of the text again.
+  #editKeepsHeight() {
+    const { previousValue, reset, formReset } = this.state.options
+    if (previousValue === undefined || reset || formReset) return false
+    if (!this.sized || !this.state.rendered || this.state.empty || this.group || this.state.transitioning) return false
+    if (this.stylesheetManager.cssRules === '') return false
+
+    const { scrollHeight, clientHeight } = this.element
+    if (this.overflowing) return scrollHeight > clientHeight
+    return scrollHeight <= clientHeight && this.#isInsertion(previousValue)
+  }
+
+  // Converts rows to a height in the same box the height rule applies to
+  #calculateHeightFromRows(rows, computedStyle) {
+    const lineHeight = computedStyle.lineHeight === 'normal'
+      ? parseFloat(computedStyle.fontSize) * 1.2
+      : parseFloat(computedStyle.lineHeight)
+    const contentHeight = rows * lineHeight
+
+    if (computedStyle.boxSizing === 'content-box') return contentHeight
+    return contentHeight +
+      parseFloat(computedStyle.paddingTop) +
+      parseFloat(computedStyle.paddingBottom) +
+      parseFloat(computedStyle.borderTopWidth) +
+      parseFloat(computedStyle.borderBottomWidth)
+  }
+
+  // Event details report heights as offsetHeight does, whatever the box-sizing
+  #toBorderBoxHeight(height, computedStyle) {
+    if (computedStyle.boxSizing !== 'content-box') return height
+    return height +
+      parseFloat(computedStyle.paddingTop) +
+      parseFloat(computedStyle.paddingBottom) +
+      parseFloat(computedStyle.borderTopWidth) +
+      parseFloat(computedStyle.borderBottomWidth)
+  }
+
+  #calculateHeightFromScrollHeight(scrollHeight, computedStyle) {
+    if (computedStyle.boxSizing === 'content-box') {
+      return scrollHeight - (
+        parseFloat(computedStyle.paddingTop) +
+        parseFloat(computedStyle.paddingBottom)
+      )
+    } else {
+      return scrollHeight +
+        parseFloat(computedStyle.borderTopWidth) +
+        parseFloat(computedStyle.borderBottomWidth)
+    }
+  }
+}
+
+// Grows an input's width with its value, or its placeholder while empty. The
+// text is measured on a canvas, so measuring never touches the layout.
+class InputResizer extends Resizer {
+  static #context = null
+
+  currentSize() {
+    return this.element.offsetWidth
+  }
+
+  sizeDetail(previousWidth, width) {
+    return { previousWidth, width }
+  }
+
+  measure() {
+    const computedStyle = window.getComputedStyle(this.element)
+    const minWidth = this.numericOption('minWidth', 'autosize-min-width') ?? 0
+    let maxWidth = this.numericOption('maxWidth', 'autosize-max-width') ?? Infinity
+    if (computedStyle.maxWidth.endsWith('px')) {
+      maxWidth = Math.min(maxWidth, this.#toBorderBoxWidth(parseFloat(computedStyle.maxWidth), computedStyle))
+    }
+
+    let newWidth = this.#measureText(this.#displayedText(computedStyle), computedStyle) +
+      parseFloat(computedStyle.paddingLeft) +
+      parseFloat(computedStyle.paddingRight) +
+      parseFloat(computedStyle.borderLeftWidth) +
+      parseFloat(computedStyle.borderRightWidth) +
+      2 // room for the caret
+
+    newWidth = Math.max(Math.ceil(newWidth), minWidth)
+    if (newWidth > maxWidth) {
+      this.state.overflowing = true
+      newWidth = maxWidth
+    }
+
+    this.state.size = newWidth
+    const width = computedStyle.boxSizing === 'content-box'
+      ? newWidth - this.#toBorderBoxWidth(0, computedStyle)
+      : newWidth
+    this.state.css = `width: ${width}px !important;`
+  }
+
+  #displayedText(computedStyle) {
+    const { value, placeholder, type } = this.element
+    if (!value) return placeholder
+    if (type === 'password') return '\u2022'.repeat(value.length)
+
+    switch (computedStyle.textTransform) {
+      case 'uppercase': return value.toUpperCase()
+      case 'lowercase': return value.toLowerCase()
+      default: return value
+    }
+  }
+
+  #measureText(text, computedStyle) {
+    const context = InputResizer.#context ??= document.createElement('canvas').getContext('2d')
+    context.font = `${computedStyle.fontStyle} ${computedStyle.fontWeight} ${computedStyle.fontSize} ${computedStyle.fontFamily}`
+
+    const letterSpacing = parseFloat(computedStyle.letterSpacing) || 0
+    return context.measureText(text).width + letterSpacing * text.length
+  }
+
+  // Min and max widths, like offsetWidth, are border-box widths
+  #toBorderBoxWidth(width, computedStyle) {
+    if (computedStyle.boxSizing !== 'content-box') return width
+    return width +
+      parseFloat(computedStyle.paddingLeft) +
+      parseFloat(computedStyle.paddingRight) +
+      parseFloat(computedStyle.borderLeftWidth) +
+      parseFloat(computedStyle.borderRightWidth)
+  }
+}
+
+// Opt-in with autosize-debug or createRegistry({ debug: true }). Logs what
+// each update measured and decided, and warns once per textarea about setups
+// that fight the sizing rule.
+class Diagnostics {
+  constructor(resizer) {
+    this.resizer = resizer
+    this.element = resizer.element
+    this.warned = new Set()
+  }
+
+  report(state) {
+    if (!this.element.isConnected) {
+      this.#warn('removed', 'was removed from the document but is still attached. Call detach() to release it.')
+    }
+    if (!state.rendered) {
+      this.#warn('hidden', "isn't rendered (display: none on it or an ancestor), so there is no height to measure. It will be measured once it's shown.")
+    } else {
+      this.#checkStyles(state)
+    }
+
+    console.debug('[autosize]', this.element, {
+      trigger: state.options.reason ?? 'update()',
+      decision: state.decision,
+      measuredOn: state.mirrored ? 'mirror' : 'textarea',
+      ...this.#boxSizingMath(state),
+      minRowsHeight: state.minHeight,
+      maxHeight: state.maxHeight === Infinity ? 'none' : state.maxHeight,
+      overflowRule: state.overflowRule?.trim() || 'none',
+      previousHeight: state.previousSize,
+      height: state.size,
+      canceled: state.canceled
+    })
+  }
+
+  // How the content height came out of scrollHeight, which includes padding
+  // but not border
+  #boxSizingMath({ scrollHeight, contentHeight }) {
+    if (scrollHeight === undefined) return {}
+
+    const computedStyle = window.getComputedStyle(this.element)
+    const padding = parseFloat(computedStyle.paddingTop) + parseFloat(computedStyle.paddingBottom)
+    const border = parseFloat(computedStyle.borderTopWidth) + parseFloat(computedStyle.borderBottomWidth)
+    const boxSizingMath = computedStyle.boxSizing === 'content-box'
+      ? `content-box: ${scrollHeight} scrollHeight - ${padding} padding = ${contentHeight}`
+      : `border-box: ${scrollHeight} scrollHeight + ${border} border = ${contentHeight}`
+    return { scrollHeight, boxSizing: boxSizingMath, contentHeight }
+  }
+
+  #checkStyles(state) {
+    const computedStyle = window.getComputedStyle(this.element)
+    if (computedStyle.resize !== 'none' && !this.resizer.manualPolicy) {
+      this.#warn('resize', `has a resize handle (resize: ${computedStyle.resize}) that the sizing rule overrides. Set resize: none, or add autosize-manual to keep dragged heights.`)
+    }
+
+    const rows = this.element.getAttribute('rows')
+    const minRows = this.resizer.numericOption('minRows', 'autosize-min-rows')
+    if (rows !== null && minRows && parseFloat(rows) !== minRows) {
+      this.#warn('rows', `has rows="${rows}" and ${minRows} min rows. rows only sets the height until autosize applies; min rows decides after that.`)
+    }
+
+    const height = this.resizer.currentSize()
+    if (state.css && !state.canceled && !state.animation && Math.abs(height - state.size) > 1) {
+      this.#warn('height', `is ${height}px tall instead of ${Math.round(state.size)}px. A height declared with !important elsewhere (or inline) overrides the sizing rule.`)
+    }
+  }
+
+  #warn(kind, message) {
+    if (this.warned.has(kind)) return
+    this.warned.add(kind)
+    console.warn(`[autosize] Textarea ${message}`, this.element)
+  }
+}
+
+// A hidden copy of a textarea for autosize-measure="mirror". It gets the
+// textarea's value and the computed styles that affect how its text wraps,
+// but no height, so its scrollHeight is the height of the content. The
+// visible textarea keeps its sizing rule and never collapses to be measured.
+class MeasuringMirror {
+  static PROPERTIES = [
+    'direction', 'boxSizing', 'width',
+    'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'borderStyle',
+    'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'fontStyle', 'fontVariant', 'fontWeight', 'fontStretch', 'fontSize', 'fontFamily', 'lineHeight',
+    'fontFeatureSettings', 'fontKerning', 'textRendering',
+    'textAlign', 'textTransform', 'textIndent', 'letterSpacing', 'wordSpacing', 'tabSize',
+    'whiteSpace', 'wordBreak', 'overflowWrap', 'hyphens'
+  ]
+
+  constructor(host) {
+    this.host = host
+    this.element = host.acquire()
+  }
+
+  // Read phase
+  read(textarea) {
+    const computedStyle = window.getComputedStyle(textarea)
+    return Object.fromEntries(MeasuringMirror.PROPERTIES.map(property => [property, computedStyle[property]]))
+  }
+
+  // Write phase. Without a scrollbar the text wraps at the full width, as it
+  // does in a textarea that fits its content; one that doesn't fit is capped
+  // at its max height whatever the wrapping.
+  write(style, value) {
+    this.host.connect()
+    Object.assign(this.element.style, style)
+    this.element.value = value
+  }
+
+  get scrollHeight() {
+    return this.element.scrollHeight
+  }
+
+  destroy() {
+    this.host.release(this.element)
+  }
+}
+
+// Holds a registry's mirrors in a closed shadow root: page styles like
+// `textarea { min-height: 5em !important }` can't reach them there, and the
+// registry only looks into open shadow roots, so it never attaches to them.
+// Like the caret locator's mirror, it lives after <body>.
+class MirrorHost {
+  constructor() {
+    this.host = null
+    this.root = null
+    this.count = 0
+  }
+
+  acquire() {
+    if (!this.host) {
+      this.host = document.createElement('div')
+      this.host.setAttribute('aria-hidden', 'true')
+      this.root = this.host.attachShadow({ mode: 'closed' })
+    }
+    const mirror = document.createElement('textarea')
+    mirror.tabIndex = -1
+    mirror.style.cssText = 'position: absolute; top: 0; left: 0; height: 0; min-height: 0; max-height: none; overflow: hidden;'
+    this.root.appendChild(mirror)
+    this.count++
+    return mirror
+  }
+
+  connect() {
+    if (this.host.isConnected) return
+    // Size containment keeps the mirrors' layout from touching the page's
+    this.host.style.cssText = 'position: absolute; top: 0; left: -9999px; width: 0; height: 0; overflow: hidden; visibility: hidden; pointer-events: none; contain: strict;'
+    document.documentElement.appendChild(this.host)
+  }
+
+  release(mirror) {
+    mirror.remove()
+    if (--this.count > 0) return
+
+    this.host.remove()
+    this.host = null
+    this.root = null
+  }
+}
+
+// Finds where the caret's line is, in viewport coordinates. Textareas have no
+// API for this, so the text before the caret is laid out in a hidden mirror
+// element that copies the textarea's typography and box.
+class CaretLocator {
+  static #mirror = null
+
+  static PROPERTIES = [
+    'direction', 'boxSizing', 'width', 'overflowY',
+    'borderTopWidth', 'borderRightWidth', 'borderBottomWidth', 'borderLeftWidth', 'borderStyle',
+    'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft',
+    'fontStyle', 'fontVariant', 'fontWeight', 'fontStretch', 'fontSize', 'fontFamily', 'lineHeight',
+    'textAlign', 'textTransform', 'textIndent', 'letterSpacing', 'wordSpacing', 'tabSize',
+    'whiteSpace', 'wordBreak', 'overflowWrap'
+  ]
+
+  static locate(textarea) {
+    const computedStyle = window.getComputedStyle(textarea)
+    const mirror = this.#mirrorElement()
+    this.PROPERTIES.forEach(property => { mirror.style[property] = computedStyle[property] })
+
+    const { value, selectionEnd } = textarea
+    const marker = document.createElement('span')
+    // The rest of the text keeps the caret's word wrapping where it really is
+    marker.textContent = value.slice(selectionEnd) || '.'
+    mirror.replaceChildren(value.slice(0, selectionEnd), marker)
+
+    const lineHeight = computedStyle.lineHeight === 'normal'
+      ? parseFloat(computedStyle.fontSize) * 1.2
+      : parseFloat(computedStyle.lineHeight)
+    const top = textarea.getBoundingClientRect().top +
+      parseFloat(computedStyle.borderTopWidth) +
+      marker.offsetTop -
+      textarea.scrollTop
+    return { top, bottom: top + lineHeight }
+  }
+
+  // Lives after <body>, where morphing the page won't remove it and it can't
+  // shift the position of anything the stylesheet targets.
+  static #mirrorElement() {
+    if (!this.#mirror) {
+      this.#mirror = document.createElement('div')
+      this.#mirror.setAttribute('aria-hidden', 'true')
+    }
+    if (!this.#mirror.isConnected) {
+      this.#mirror.style.cssText = 'position: absolute; top: 0; left: -9999px; visibility: hidden; pointer-events: none;'
+      document.documentElement.appendChild(this.#mirror)
+    }
+    return this.#mirror
+  }
+
+  static destroy() {
+    this.#mirror?.remove()
+    this.#mirror = null
+  }
+}
+
+class WindowResizeHandler {
+  constructor(manager) {
+    this.manager = manager
+    this.resizeTimeout = null
+    window.addEventListener('resize', this.#onResize)
+  }
+
+  #onResize = () => {
+    clearTimeout(this.resizeTimeout)
+    this.resizeTimeout = setTimeout(() => {
+      // A wider textarea may need fewer lines, so measure from scratch
+      this.manager.update(null, { reset: true, reason: 'window resize' })
+    }, 100)
+  }
+
+  destroy() {
+    window.removeEventListener('resize', this.#onResize)
+    clearTimeout(this.resizeTimeout)
+  }
+}
+
+// Textareas attached before a web font loads were measured with the fallback
+// font. When fonts finish loading, re-measure the elements that use them; the
+// scheduler batches them into a single update.
+class FontLoadHandler {
+  constructor(manager) {
+    this.manager = manager
+    this.fonts = (manager.root.ownerDocument ?? manager.root).fonts
+    if (!this.fonts) return
+
+    this.fonts.addEventListener('loadingdone', this.#onLoadingDone)
+    if (this.fonts.status === 'loading') {
+      this.fonts.ready.then(() => this.manager.update(null, { reset: true, reason: 'fonts ready' }))
+    }
+  }
+
+  destroy() {
+    this.fonts?.removeEventListener('loadingdone', this.#onLoadingDone)
+  }
+
+  #onLoadingDone = (event) => {
+    const families = new Set(event.fontfaces.map(fontFace => this.#normalize(fontFace.family)))
+    if (families.size === 0) return
+
+    this.manager.controllers.forEach((controller, element) => {
+      const { fontFamily } = window.getComputedStyle(element)
+      if (fontFamily.split(',').some(family => families.has(this.#normalize(family)))) {
+        this.manager.update(element, { reset: true, reason: 'font loaded' })
+      }
+    })
+  }
+
+  #normalize(family) {
+    return family.trim().replace(/^["']|["']$/g, '').toLowerCase()
+  }
+}
+
+// A printed page can't scroll, so while printing every textarea expands to its
+// full content, past max-height and max rows. The browser lays out the page
+// for printing right after beforeprint, hence the synchronous flushes.
+class PrintHandler {
+  constructor(manager) {
+    this.manager = manager
+    window.addEventListener('beforeprint', this.#onBeforePrint)
+    window.addEventListener('afterprint', this.#onAfterPrint)
+  }
+
+  // Lazy textareas the reader never scrolled to are printed too
+  #onBeforePrint = () => {
+    this.manager.lazyLoader.loadAll()
+    this.manager.update(null, { reset: true, printing: true, silent: true, reason: 'beforeprint' })
+    this.manager.flush()
+  }
+
+  #onAfterPrint = () => {
+    this.manager.update(null, { reset: true, shrink: true, silent: true, reason: 'afterprint' })
+    this.manager.flush()
+  }
+
+  destroy() {
+    window.removeEventListener('beforeprint', this.#onBeforePrint)
+    window.removeEventListener('afterprint', this.#onAfterPrint)
+  }
+}
+
+class FormResetHandler {
+  constructor(manager) {
+    this.manager = manager
+    this.shadowRoots = new Set()
+    manager.root.addEventListener('reset', this.#onReset)
+  }
+
+  // reset events are not composed, so forms inside shadow roots need their own listener
+  observe(root) {
+    if (!(root instanceof ShadowRoot)) return
+    root.addEventListener('reset', this.#onReset)
+    this.shadowRoots.add(root)
+  }
+
+  unobserve(root) {
+    root.removeEventListener('reset', this.#onReset)
+    this.shadowRoots.delete(root)
+  }
+
+  destroy() {
+    this.manager.root.removeEventListener('reset', this.#onReset)
+    this.shadowRoots.forEach(root => root.removeEventListener('reset', this.#onReset))
+    this.shadowRoots.clear()
+  }
+
+  #onReset = (event) => {
+    // Elements attached through the API needn't match the selector
+    const form = event.target
+    this.manager.controllers.forEach((controller, element) => {
+      if (!form.contains(element)) return
+      // The form resets after this event, long before the scheduled update runs.
+      // We know the element will change to its default value.
+      this.manager.update(element, { previousValue: element.value, formReset: true, reason: 'form reset' })
+    })
+  }
+}
+
+// Text wrapping depends on the textarea's own width, which can change without
+// the window resizing (sidebars, split panes, container queries, transitions).
+// Only the inline size is compared, so the height changes autosize makes
+// itself never trigger another update.
+// A hidden textarea (display: none, a closed <details> or <dialog>) has no
+// scrollHeight to measure, so it is measured again once it's rendered.
+class LayoutChangeHandler {
+  constructor(textarea, controller) {
+    this.textarea = textarea
+    this.controller = controller
+    this.inlineSize = null
+    this.observer = null
+    this.frame = null
+    // Without ResizeObserver (jsdom, say) the window resize handler still
+    // catches most width changes
+    if (typeof ResizeObserver === 'undefined') return
+
+    this.observer = new ResizeObserver(this.#onResize)
+    this.observer.observe(textarea)
+  }
+
+  #onResize = (entries) => {
+    const entry = entries[entries.length - 1]
+    const inlineSize = entry.borderBoxSize?.[0]?.inlineSize ?? entry.contentRect.width
+    const blockSize = entry.borderBoxSize?.[0]?.blockSize ?? entry.contentRect.height
+    const previousInlineSize = this.inlineSize
+    this.inlineSize = inlineSize
+
+    if (blockSize > 0 && this.controller.resizer.rendered === false) {
+      this.#updateBeforePaint({ reset: true, reason: 'shown' })
+      return
+    }
+    // The first notification reports the width the textarea was attached at
+    if (previousInlineSize === null || inlineSize === previousInlineSize) return
+    this.#updateBeforePaint({ reset: true, reason: 'width change' })
+  }
+
+  // An update scheduled from here would wait for the next frame, after this
+  // one was painted at the old height
+  #updateBeforePaint(options) {
+    this.controller.update(options)
+    this.controller.scheduler.flushSoon()
+    this.skipFrame()
+  }
+
+  // Resizing the textarea, or starting to observe it, from inside a
+  // ResizeObserver callback makes a notification the browser can't deliver in
+  // the same frame, and it reports a "ResizeObserver loop" error. Looking away
+  // until the next frame avoids that. A width change in between is still seen
+  // then, against the last width reported.
+  skipFrame() {
+    if (!this.observer) return
+    this.observer.unobserve(this.textarea)
+    cancelAnimationFrame(this.frame)
+    this.frame = requestAnimationFrame(() => this.observer.observe(this.textarea))
+  }
+
+  destroy() {
+    cancelAnimationFrame(this.frame)
+    this.observer?.disconnect()
+  }
+}
+
+// Dragging the resize handle of a textarea with autosize-manual sets its
+// height by hand. During the drag the rule gives way to the inline height the
+// browser writes. On release that height moves into the rule and the style
+// attribute is put back as it was, so a morph can't undo the drag.
+class ManualResizeHandler {
+  constructor(element, controller) {
+    this.element = element
+    this.controller = controller
+    this.drag = null
+    this.element.addEventListener('pointerdown', this.#onPointerDown)
+  }
+
+  #onPointerDown = (event) => {
+    if (this.drag || !this.#onResizeHandle(event)) return
+
+    this.drag = { height: this.element.offsetHeight, style: this.element.getAttribute('style') }
+    this.controller.resizer.releaseHeight()
+    window.addEventListener('pointerup', this.#onPointerUp)
+    window.addEventListener('pointercancel', this.#onPointerUp)
+  }
+
+  #onPointerUp = () => {
+    this.#stopListening()
+    const { height, style } = this.drag
+    this.drag = null
+
+    const draggedHeight = this.element.offsetHeight
+    if (this.element.getAttribute('style') !== style) {
+      if (style === null) {
+        this.element.removeAttribute('style')
+      } else {
+        this.element.setAttribute('style', style)
+      }
+    }
+    if (draggedHeight !== height) this.controller.resizer.manualSize = draggedHeight
+
+    // Write the rule before the restored style attribute can paint
+    this.controller.update({ reset: true, reason: 'manual resize' })
+    this.controller.scheduler.flush()
+  }
+
+  // The handle sits in the bottom right corner, inside the border
+  #onResizeHandle(event) {
+    if (window.getComputedStyle(this.element).resize === 'none') return false
+    const { right, bottom } = this.element.getBoundingClientRect()
+    return event.clientX >= right - 16 && event.clientY >= bottom - 16
+  }
+
+  #stopListening() {
+    window.removeEventListener('pointerup', this.#onPointerUp)
+    window.removeEventListener('pointercancel', this.#onPointerUp)
+  }
+
+  destroy() {
+    this.element.removeEventListener('pointerdown', this.#onPointerDown)
+    this.#stopListening()
+  }
+}
+
+// Grow-only textareas fit their content again once the user is done
+class BlurHandler {
+  constructor(element, controller) {
+    this.element = element
+    this.controller = controller
+    this.element.addEventListener('blur', this.#onBlur)
+  }
+
+  #onBlur = () => {
+    this.controller.update({ reset: true, shrink: true, reason: 'blur' })
+  }
+
+  destroy() {
+    this.element.removeEventListener('blur', this.#onBlur)
+  }
+}
+
+class InputHandler {
+  constructor(element, controller) {
+    this.element = element
+    this.controller = controller
+    this.previousValue = element.value
+    this.element.addEventListener('input', this.#onInput)
+  }
+
+  #onInput = () => {
+    this.controller.update({
+      previousValue: this.previousValue,
+      reason: 'input'
+    })
+    this.previousValue = this.element.value
+  }
+
+  // Records a value set some other way, so the next edit is compared with it
+  sync() {
+    this.previousValue = this.element.value
+  }
+
+  destroy() {
+    this.element.removeEventListener('input', this.#onInput)
+  }
+}
+
+// Until the user edits it, a textarea's value is its text content and an
+// input's value is its value attribute. Morphs swapping the text node,
+// textContent, innerHTML and defaultValue all change them without touching the
+// value setter.
+class ContentObserver {
+  constructor(element, controller) {
+    this.controller = controller
+    this.observer = new MutationObserver(() => {
+      this.controller.update({ reset: true, reason: 'content mutation' })
+      this.controller.inputHandler.sync()
+    })
+    this.observer.observe(element, {
+      childList: true,
+      characterData: true,
+      subtree: true,
+      attributeFilter: ['value']
+    })
+  }
+
+  destroy() {
+    this.observer.disconnect()
+  }
+}
+
+class ValueSetter {
+  constructor(element, controller) {
+    this.element = element
+    this.controller = controller
+    this.install()
+  }
+
+  install() {
+    if (this.element._autosizeValueOverridden) return
+
+    const prototype = this.element instanceof HTMLInputElement ? HTMLInputElement.prototype : HTMLTextAreaElement.prototype
+    const originalDescriptor = Object.getOwnPropertyDescriptor(prototype, 'value')
+    const originalSetter = originalDescriptor.set
+    const originalGetter = originalDescriptor.get
+    const originalSetRangeText = prototype.setRangeText
+    const controller = this.controller
+
+    Object.defineProperty(this.element, 'value', {
+      get: originalGetter,
+      set: function(newValue) {
+        const previousValue = originalGetter.call(this)
+        originalSetter.call(this, newValue)
+        if (previousValue !== newValue) {
+          controller.update({ previousValue, reason: 'value set' })
+          controller.inputHandler.sync()
+        }
+      },
+      configurable: true
+    })
+
+    // setRangeText() changes the value without going through the setter
+    this.element.setRangeText = function(...args) {
+      const previousValue = originalGetter.call(this)
+      originalSetRangeText.apply(this, args)
+      if (originalGetter.call(this) !== previousValue) {
+        controller.update({ previousValue, reason: 'setRangeText()' })
+        controller.inputHandler.sync()
+      }
+    }
+
+    this.element._autosizeValueOverridden = true
+  }
+
+  destroy() {
+    if (this.element._autosizeValueOverridden) {
+      delete this.element.value
+      delete this.element.setRangeText
+      delete this.element._autosizeValueOverridden
+    }
+  }
+}
+
+// Where the sizing rules go, picked at runtime by what the browser supports:
+//
+// - "adopted": a constructed stylesheet adopted by each root. No DOM
+//   mutations at all, so nothing for morphing libraries to undo.
+// - "element": a <style> element in <head> (or in the shadow root), marked
+//   for the morphing libraries that know how to leave head elements alone.
+// - "inline": the element's own style attribute, for environments where
+//   neither works. Morphing resets it, so each update writes it again.
+function detectStyleStrategy() {
+  if (AdoptedSheetStrategy.supported()) return 'adopted'
+  if (StyleElementStrategy.supported()) return 'element'
+  return 'inline'
+}
+
+class AdoptedSheetStrategy {
+  static supported() {
+    try {
+      return 'adoptedStyleSheets' in Document.prototype &&
+        'adoptedStyleSheets' in ShadowRoot.prototype &&
+        new CSSStyleSheet().cssRules.length === 0
+    } catch {
+      return false
+    }
+  }
+
+  create() {
+    return { sheet: new CSSStyleSheet() }
+  }
+
+  // Re-adopts the sheet if something else replaced the root's adoptedStyleSheets
+  connect(root, entry) {
+    if (!root.adoptedStyleSheets.includes(entry.sheet)) {
+      root.adoptedStyleSheets = [...root.adoptedStyleSheets, entry.sheet]
+    }
+    return false
+  }
+
+  remove(root, entry) {
+    root.adoptedStyleSheets = root.adoptedStyleSheets.filter(sheet => sheet !== entry.sheet)
+  }
+}
+
+class StyleElementStrategy {
+  static count = 0
+
+  static supported() {
+    const element = document.createElement('style')
+    try {
+      ;(document.head ?? document.documentElement).appendChild(element)
+      element.sheet.insertRule('x {}')
+      return true
+    } catch {
+      return false
+    } finally {
+      element.remove()
+    }
+  }
+
+  // Turbo and htmx preserve elements by id; idiomorph keeps im-preserve head elements
+  create() {
+    const element = document.createElement('style')
+    element.id = `pure-autosize-${++StyleElementStrategy.count}`
+    element.setAttribute('data-turbo-permanent', '')
+    element.setAttribute('hx-preserve', 'true')
+    element.setAttribute('im-preserve', 'true')
+    return { element, sheet: null }
+  }
+
+  // Puts the element back if a morph removed it anyway. Its sheet is created
+  // afresh from its (empty) text, so the rules have to be inserted again.
+  connect(root, entry) {
+    if (entry.element.isConnected) return false
+
+    const parent = root instanceof ShadowRoot ? root : (root.head ?? root.documentElement)
+    parent.appendChild(entry.element)
+    entry.sheet = entry.element.sheet
+    return true
+  }
+
+  remove(root, entry) {
+    entry.element.remove()
+  }
+}
+
+// One stylesheet per root (the document or a shadow root), shared by every
+// textarea in it. Adopting a sheet per textarea meant copying the
+// adoptedStyleSheets array on every attach and detach.
+class StylesheetPool {
+  static STRATEGIES = { adopted: AdoptedSheetStrategy, element: StyleElementStrategy }
+
+  constructor(strategy = detectStyleStrategy()) {
+    this.strategyName = strategy
+    this.strategy = strategy === 'inline' ? null : new StylesheetPool.STRATEGIES[strategy]()
+    this.entries = new Map()
+  }
+
+  // Inline styles need no sheet, just a manager that writes the style attribute
+  managerFor(element) {
+    return this.strategy ? new StylesheetManager(element, this) : new InlineStyleManager(element)
+  }
+
+  acquire(root, manager) {
+    let entry = this.entries.get(root)
+    if (!entry) {
+      entry = { ...this.strategy.create(root), managers: new Set(), observer: this.#watchSelectors(root) }
+      this.entries.set(root, entry)
+    }
+    entry.managers.add(manager)
+    this.adopt(root)
+    return entry
+  }
+
+  adopt(root) {
+    const entry = this.entries.get(root)
+    if (entry && this.strategy.connect(root, entry)) {
+      entry.managers.forEach(manager => manager.rebuild())
+    }
+  }
+
+  release(root, manager) {
+    const entry = this.entries.get(root)
+    if (!entry) return
+    entry.managers.delete(manager)
+    if (entry.managers.size > 0) return
+
+    this.entries.delete(root)
+    entry.observer.disconnect()
+    this.strategy.remove(root, entry)
+  }
+
+  // Inserting or removing nodes before an element or any of its ancestors
+  // shifts its positional selector, and removing the element leaves a rule
+  // behind for whatever takes its place. The whole root is watched, whatever
+  // part of it the registry observes, since those ancestors may lie outside it.
+  #watchSelectors(root) {
+    const observer = new MutationObserver(mutations => {
+      const targets = new Set(mutations.map(mutation => mutation.target))
+      this.entries.get(root)?.managers.forEach(manager => {
+        const { element } = manager
+        // Removed, put back, or shifted by a change before it or an ancestor.
+        // An id selector doesn't depend on position.
+        if (!element.isConnected || manager.outOfDocument) {
+          manager.refresh()
+        } else if (!element.id && this.#hasAncestorIn(element, targets)) {
+          manager.refresh()
+        }
+      })
+    })
+    observer.observe(root, { childList: true, subtree: true })
+    return observer
+  }
+
+  #hasAncestorIn(element, nodes) {
+    for (let node = element.parentNode; node; node = node.parentNode) {
+      if (nodes.has(node)) return true
+    }
+    return false
+  }
+}
+
+// CSS.escape, for environments without it (jsdom, say). Escapes everything
+// but letters, digits, underscores and hyphens, and a leading digit.
+function escapeIdentifier(identifier) {
+  if (globalThis.CSS?.escape) return CSS.escape(identifier)
+  return identifier
+    .replace(/[^\w-]/g, character => `\\${character}`)
+    .replace(/^(-?)(\d)/, (_, hyphen, digit) => `${hyphen}\\3${digit} `)
+}
+
+class StylesheetManager {
+  constructor(element, pool) {
+    this.element = element
+    this.pool = pool
+    // Rules don't cross shadow boundaries, so the sheet lives in the element's own root
+    this.root = element.getRootNode()
+    this.rule = null
+    this.cssRules = ''
+    this.selector = null
+    this.outOfDocument = false
+    this.entry = pool.acquire(this.root, this)
+  }
+
+  get stylesheet() {
+    return this.entry.sheet
+  }
+
+  reset() {
+    this.replace()
+  }
+
+  replace(cssRules = '') {
+    const unchanged = cssRules === this.cssRules
+    this.cssRules = cssRules
+    if (cssRules === '') {
+      if (this.rule) this.rule.style.cssText = ''
+      return
+    }
+    // Written once the element is back, see refresh()
+    if (!this.element.isConnected) {
+      this.#setAside()
+      return
+    }
+
+    this.pool.adopt(this.root)
+    const selector = this.#selectorFor(this.element)
+    if (!this.rule) {
+      const index = this.stylesheet.insertRule(`${selector} {}`, this.stylesheet.cssRules.length)
+      this.rule = this.stylesheet.cssRules[index]
+    } else if (selector !== this.selector) {
+      this.rule.selectorText = selector
+    } else if (unchanged) {
+      // Rewriting a rule restyles everything the sheet applies to
+      return
+    }
+    this.selector = selector
+    this.rule.style.cssText = cssRules
+  }
+
+  // The sheet was created afresh, without this manager's rule
+  rebuild() {
+    const cssRules = this.cssRules
+    this.rule = null
+    this.cssRules = ''
+    if (cssRules !== '') this.replace(cssRules)
+  }
+
+  // Rewrites the rule if the element's selector no longer matches it. While
+  // the element is out of the document the rule is emptied instead: its
+  // positional selector would size whatever was inserted in its place.
+  refresh() {
+    if (this.cssRules === '') return
+    if (!this.element.isConnected) {
+      this.#setAside()
+    } else if (this.outOfDocument || this.#selectorFor(this.element) !== this.selector) {
+      this.outOfDocument = false
+      this.replace(this.cssRules)
+    }
+  }
+
+  #setAside() {
+    if (this.outOfDocument) return
+    this.outOfDocument = true
+    if (this.rule) this.rule.style.cssText = ''
+    this.selector = null
+  }
+
+  // Targets the element by its own id when it has one, otherwise by its
+  // position in the tree. Assigning an id would be a DOM mutation that
+  // morphing libraries then fight over, since they match nodes by id.
+  #selectorFor(element) {
+    if (element.id) return `#${escapeIdentifier(element.id)}`
+
+    const steps = []
+    let current = element
+    while (current.parentElement) {
+      steps.unshift(this.#stepFor(current))
+      current = current.parentElement
+    }
+
+    if (current.parentNode instanceof ShadowRoot) {
+      steps.unshift(':host', this.#stepFor(current))
+    } else {
+      steps.unshift(':root')
+    }
+    return steps.join(' > ')
+  }
+
+  #stepFor(element) {
+    let index = 1
+    for (let sibling = element.previousElementSibling; sibling; sibling = sibling.previousElementSibling) {
+      index++
+    }
+    return `${element.localName}:nth-child(${index})`
+  }
+
+  destroy() {
+    if (this.rule) {
+      const index = Array.prototype.indexOf.call(this.stylesheet.cssRules, this.rule)
+      if (index !== -1) this.stylesheet.deleteRule(index)
+      this.rule = null
+    }
+    this.pool.release(this.root, this)
+  }
+}
+
+// The inline strategy's stand-in for a rule: the declarations are set on the
+// element's own style, and whatever the page had set for those properties is
+// put back when they are replaced or cleared.
+class InlineStyleManager {
+  constructor(element) {
+    this.element = element
+    this.cssRules = ''
+    this.declarations = null
+    this.previousValues = new Map()
+  }
+
+  reset() {
+    this.replace()
+  }
+
+  replace(cssRules = '') {
+    if (cssRules === this.cssRules && this.#applied()) return
+    this.#restore()
+    this.cssRules = cssRules
+
+    const declarations = document.createElement('div').style
+    declarations.cssText = cssRules
+    this.declarations = declarations
+    const { style } = this.element
+    for (const property of declarations) {
+      this.previousValues.set(property, [style.getPropertyValue(property), style.getPropertyPriority(property)])
+      style.setProperty(property, declarations.getPropertyValue(property), declarations.getPropertyPriority(property))
+    }
+  }
+
+  // A morph may have put the style attribute back the way the server rendered it
+  #applied() {
+    const { style } = this.element
+    return [...this.previousValues.keys()].every(property =>
+      style.getPropertyValue(property) === this.declarations.getPropertyValue(property) &&
+      style.getPropertyPriority(property) === this.declarations.getPropertyPriority(property)
+    )
+  }
+
+  #restore() {
+    const { style } = this.element
+    this.previousValues.forEach(([value, priority], property) => {
+      if (value) {
+        style.setProperty(property, value, priority)
+      } else {
+        style.removeProperty(property)
+      }
+    })
+    this.previousValues.clear()
+  }
+
+  refresh() {}
+
+  destroy() {
+    this.#restore()
+    this.cssRules = ''
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * Framework integrations
+ *
+ * Morphing can restyle a textarea in ways autosize doesn't watch for, like
+ * swapping its class. `connectFrameworks()` listens for the render events of
+ * Turbo, htmx and Phoenix LiveView and re-measures the textareas and inputs
+ * inside whatever each one rendered.
+ *
+ *   import { connectFrameworks } from 'pure-autosize/integrations'
+ *
+ *   const disconnect = connectFrameworks()
+ *
+ * Without a registry it updates whichever one `window.autosizeRegistry` holds
+ * when each event arrives, so it keeps working after `restart()`.
+ *
+ * Like `pure-autosize/core`, importing this module has no side effects.
+ */
+
+// Dispatched once new content is in place. Their target is the rendered
+// subtree: the document for page renders, the element for partial swaps.
+const RENDER_EVENTS = [
+  'turbo:render',
+  'turbo:morph',
+  'turbo:frame-render',
+  'htmx:afterSettle',
+  'phx:update'
+]
+
+export function connectFrameworks(registry) {
+  const currentRegistry = () => registry ?? window.autosizeRegistry
+
+  const onRender = ({ type, target }) => {
+    const registry = currentRegistry()
+    registry?.controllers.forEach((controller, element) => {
+      if (contains(target, element)) registry.update(element, { reset: true, reason: type })
+    })
+  }
+
+  // Turbo snapshots the page before leaving it. Apply pending updates first,
+  // so the snapshot doesn't capture a half-measured page.
+  const onBeforeCache = () => currentRegistry()?.flush()
+
+  // Listening on window catches events dispatched on the document or on any
+  // element, since they all bubble.
+  RENDER_EVENTS.forEach(name => window.addEventListener(name, onRender))
+  window.addEventListener('turbo:before-cache', onBeforeCache)
+
+  return function disconnect() {
+    RENDER_EVENTS.forEach(name => window.removeEventListener(name, onRender))
+    window.removeEventListener('turbo:before-cache', onBeforeCache)
+  }
+}
+
+// Like Node#contains, but looks through shadow roots. Events dispatched on
+// window stand for the whole page.
+function contains(target, element) {
+  if (target === window) return true
+  for (let node = element; node; node = node.getRootNode().host) {
+    if (target.contains(node)) return true
+  }
+  return false
+}
@@ -0,0 +1,172 @@
+/**
+ * Test helpers
+ *
+ * Helpers for testing pages that use autosize, in any browser test runner.
+ * They don't depend on an assertion library: failed expectations throw a
+ * plain `Error`.
+ *
+ *   import { settled, setupTextarea, simulateTyping, expectHeightToIncrease } from 'pure-autosize/testing'
+ *
+ *   const textarea = await setupTextarea('<textarea autosize></textarea>')
+ *   await expectHeightToIncrease(textarea).when(() => simulateTyping(textarea, 'Hello\nWorld'))
+ *
+ * Like `pure-autosize/core`, importing this module has no side effects.
+ */
+
+/**
+ * Resolves once the registry has no pending updates and no height
+ * transitions are running, so sizes can be read right away.
+ *
+ * Waits at least one frame, so changes that autosize observes rather than
+ * intercepts (DOM mutations, width changes) have been scheduled.
+ */
+export async function settled(registry = window.autosizeRegistry) {
+  do {
+    await nextFrame()
+    // Width changes are observed after the frame's callbacks run
+    await nextTask()
+  } while (registry.scheduler.pending.size > 0)
+  await Promise.all([...registry.controllers.keys()].flatMap(transitionsOf))
+}
+
+function nextTask() {
+  return new Promise(resolve => setTimeout(resolve))
+}
+
+function nextFrame() {
+  return new Promise(resolve => requestAnimationFrame(resolve))
+}
+
+// A transition interrupted by a new one rejects `finished`; the new one is
+// already running by then and is waited for on its own.
+function transitionsOf(element) {
+  return element.getAnimations()
+    .filter(animation => animation.transitionProperty === 'height')
+    .map(animation => animation.finished.catch(() => {}))
+}
+
+/**
+ * Retries an assertion until it passes or times out, for changes that
+ * `settled()` can't see coming, like a lazy textarea scrolling into view.
+ */
+export async function retryAssertion(assertionFn, timeout = 1500, interval = 10) {
+  const startTime = Date.now()
+  let lastError = null
+
+  while (Date.now() - startTime < timeout) {
+    try {
+      await assertionFn()
+      return
+    } catch (error) {
+      lastError = error
+      await new Promise(resolve => setTimeout(resolve, interval))
+    }
+  }
+
+  throw lastError ?? new Error('Assertion timed out without any attempts')
+}
+
+/**
+ * Height matchers. Each one runs the action, waits until autosize has
+ * settled and checks the height once. Pass `{ registry }` for textareas
+ * managed by a registry other than `window.autosizeRegistry`.
+ *
+ * Usage:
+ * await expectHeightToIncrease(textarea).when(() => {
+ *   // action that should increase height
+ * })
+ *
+ * Each `when` resolves with the final height.
+ */
+export function expectHeightToIncrease(element, options) {
+  return expectHeight(element, options, (initialHeight, finalHeight) => {
+    if (finalHeight <= initialHeight) return `Expected height to increase from ${initialHeight}, but got ${finalHeight}`
+  })
+}
+
+export function expectHeightToDecrease(element, options) {
+  return expectHeight(element, options, (initialHeight, finalHeight) => {
+    if (finalHeight >= initialHeight) return `Expected height to decrease from ${initialHeight}, but got ${finalHeight}`
+  })
+}
+
+export function expectHeightNotToChange(element, options) {
+  return expectHeight(element, options, (initialHeight, finalHeight) => {
+    if (finalHeight !== initialHeight) return `Expected height NOT to change from ${initialHeight}, but it changed to ${finalHeight}`
+  })
+}
+
+// `check` returns a failure message, or nothing when the expectation holds
+function expectHeight(element, { registry } = {}, check) {
+  const initialHeight = element.offsetHeight
+  return {
+    when: async (actionFn) => {
+      await actionFn()
+      await settled(registry)
+
+      const finalHeight = element.offsetHeight
+      const failure = check(initialHeight, finalHeight)
+      if (failure) throw new Error(failure)
+      return finalHeight
+    }
+  }
+}
+
+/**
+ * Renders the HTML into `root` (the body by default) and resolves with the
+ * first textarea once autosize has sized it.
+ *
+ * Usage:
+ * const textarea = await setupTextarea('<textarea autosize>Some content</textarea>')
+ */
+export async function setupTextarea(html, { root = document.body, registry } = {}) {
+  root.innerHTML = html
+  await settled(registry)
+  return root.querySelector('textarea')
+}
+
+/**
+ * User interaction simulation helpers, for textareas and inputs
+ *
+ * Usage:
+ * simulateTyping(textarea, 'Hello\nWorld')
+ * simulateTyping(textarea, 'New text', { replace: true }); // Select-all-and-type
+ */
+
+// Simulate realistic character-by-character typing
+export function simulateTyping(element, text, options = {}) {
+  // If replace option is true, start with empty value (simulates select-all-and-type)
+  let currentValue = options.replace ? '' : element.value
+
+  // If replacing, first set empty value and fire input event
+  if (options.replace) input(element, '')
+
+  // Then type character by character
+  for (const character of text) {
+    currentValue += character
+    input(element, currentValue)
+  }
+}
+
+// Simulate paste operation (single content change + input event)
+export function simulatePaste(element, text) {
+  input(element, text)
+}
+
+// Simulate backspace deletion (character by character)
+export function simulateBackspace(element, charactersToDelete) {
+  let currentValue = element.value
+
+  for (let i = 0; i < charactersToDelete; i++) {
+    currentValue = currentValue.slice(0, -1)
+    input(element, currentValue)
+  }
+}
+
+// Sets the value through the prototype, bypassing autosize's value setter
+// like the browser does for user edits, then fires the input event
+function input(element, value) {
+  const descriptor = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), 'value')
+  descriptor.set.call(element, value)
+  element.dispatchEvent(new Event('input', { bubbles: true }))
+}
@@ -0,0 +1,142 @@
+import { expect } from '@esm-bundle/chai'
+import { flush } from '../src/pure-autosize.js'
+import { setupGlobalTestHooks } from './lib/test-helpers.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box;'
+const DURATION = 200
+
+function settle(ms = 20) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+function lines(count) {
+  return Array.from({ length: count }, (_, i) => `Line ${i + 1}`).join('\n')
+}
+
+// 20px lines plus 16px padding and 2px border
+function heightForLines(count) {
+  return count * 20 + 18
+}
+
+function heightTransitions(textarea) {
+  return textarea.getAnimations().filter(animation => animation.transitionProperty === 'height')
+}
+
+async function setupAnimated(value = '', attributes = `autosize-animate="${DURATION}"`) {
+  document.body.innerHTML = `<textarea autosize ${attributes} style="${TA_STYLE}">${value}</textarea>`
+  await settle()
+  return document.querySelector('textarea')
+}
+
+describe('Animate', () => {
+  setupGlobalTestHooks()
+  afterEach(() => { document.body.innerHTML = '' })
+
+  it('grows with a height transition declared in the sizing stylesheet', async () => {
+    const textarea = await setupAnimated(lines(2))
+
+    textarea.value = lines(5)
+    flush()
+
+    expect(heightTransitions(textarea)).to.have.length(1)
+    expect(textarea.offsetHeight).to.be.lessThan(heightForLines(5))
+    expect(textarea.getAttribute('style')).to.equal(TA_STYLE)
+
+    await settle(DURATION + 100)
+    expect(textarea.offsetHeight).to.equal(heightForLines(5))
+  })
+
+  it('does not animate the first sizing after attaching', async () => {
+    const textarea = await setupAnimated(lines(5))
+
+    expect(heightTransitions(textarea)).to.be.empty
+    expect(textarea.offsetHeight).to.equal(heightForLines(5))
+  })
+
+  it('starts shrinking from the current height rather than collapsing first', async () => {
+    const textarea = await setupAnimated(lines(5))
+
+    textarea.value = lines(2)
+    flush()
+
+    expect(heightTransitions(textarea)).to.have.length(1)
+    expect(textarea.offsetHeight).to.be.closeTo(heightForLines(5), 2)
+
+    await settle(DURATION + 100)
+    expect(textarea.offsetHeight).to.equal(heightForLines(2))
+  })
+
+  it('retargets a running transition from its current height when typing fast', async () => {
+    const textarea = await setupAnimated(lines(2))
+
+    textarea.value = lines(5)
+    flush()
+    await settle(DURATION / 2)
+    const midHeight = textarea.offsetHeight
+    expect(midHeight).to.be.greaterThan(heightForLines(2)).and.lessThan(heightForLines(5))
+
+    textarea.value = lines(10)
+    flush()
+
+    expect(heightTransitions(textarea)).to.have.length(1)
+    expect(textarea.offsetHeight).to.be.closeTo(midHeight, 10)
+
+    await settle(DURATION + 100)
+    expect(textarea.offsetHeight).to.equal(heightForLines(10))
+  })
+
+  it('measures the content, not the animated height, while shrinking', async () => {
+    const textarea = await setupAnimated(lines(10))
+
+    textarea.value = lines(3)
+    flush()
+    await settle(DURATION / 4)
+    // Appending normally skips clearing the rule before measuring
+    textarea.value = lines(4)
+    flush()
+
+    await settle(DURATION + 100)
+    expect(textarea.offsetHeight).to.equal(heightForLines(4))
+  })
+
+  it('reports the final height in autosize:resized', async () => {
+    const textarea = await setupAnimated(lines(2))
+    const events = []
+    textarea.addEventListener('autosize:resized', event => events.push(event.detail))
+
+    textarea.value = lines(5)
+    flush()
+
+    expect(events).to.deep.equal([{ previousHeight: heightForLines(2), height: heightForLines(5) }])
+  })
+
+  it('accepts animate as an attach option', async () => {
+    document.body.innerHTML = `<textarea style="${TA_STYLE}">${lines(2)}</textarea>`
+    const textarea = document.querySelector('textarea')
+    window.autosizeRegistry.attach(textarea, { animate: DURATION })
+    await settle()
+
+    textarea.value = lines(5)
+    flush()
+
+    expect(heightTransitions(textarea)).to.have.length(1)
+    window.autosizeRegistry.detach(textarea)
+  })
+
+  describe('with prefers-reduced-motion', () => {
+    const { matchMedia } = window
+
+    beforeEach(() => {
+      window.matchMedia = query => ({ matches: query === '(prefers-reduced-motion: reduce)' })
+    })
+    afterEach(() => { window.matchMedia = matchMedia })
+
+    it('jumps to the new height', async () => {
+      const textarea = await setupAnimated(lines(2))
+
+      textarea.value = lines(5)
+      flush()
+
+      expect(heightTransitions(textarea)).to.be.empty
+      expect(textarea.offsetHeight).to.equal(heightForLines(5))
+    })
+  })
+})
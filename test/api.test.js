@@ -0,0 +1,123 @@
+import { expect } from '@esm-bundle/chai'
+import { attach, detach, update, isAttached, flush } from '../src/pure-autosize.js'
+import { settled } from '../src/testing.js'
+import {
+  expectHeightToIncrease,
+  expectHeightToDecrease,
+  expectHeightNotToChange,
+  setupTextarea,
+  setupGlobalTestHooks
+} from './lib/test-helpers.js'
+
+const FIVE_LINES = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5'
+
+describe('Module API', () => {
+  setupGlobalTestHooks()
+
+  it('still exposes the registry as window.autosizeRegistry', () => {
+    expect(window.autosizeRegistry).to.exist
+    expect(window.autosizeRegistry.attach).to.be.a('function')
+  })
+
+  it('attaches to a textarea without the autosize attribute', async () => {
+    const textarea = await setupTextarea('<textarea></textarea>')
+    expect(isAttached(textarea)).to.be.false
+
+    attach(textarea)
+    expect(isAttached(textarea)).to.be.true
+
+    await expectHeightToIncrease(textarea).when(async () => {
+      textarea.value = FIVE_LINES
+    })
+  })
+
+  it('sizes a textarea attached before it is inserted', async () => {
+    const textarea = document.createElement('textarea')
+    textarea.style.cssText = 'width: 200px; font-size: 14px; line-height: 20px; padding: 8px; border: 1px solid #ccc; box-sizing: border-box'
+    textarea.value = FIVE_LINES
+    attach(textarea)
+    expect(isAttached(textarea)).to.be.true
+
+    document.body.replaceChildren(textarea)
+    await settled()
+    expect(textarea.offsetHeight).to.equal(5 * 20 + 18)
+  })
+
+  it('sizes an input attached before it is inserted', async () => {
+    const input = document.createElement('input')
+    const unattached = document.createElement('input')
+    input.value = unattached.value = 'A value wider than an input is by default'
+    attach(input)
+
+    document.body.replaceChildren(input, unattached)
+    await settled()
+    expect(input.offsetWidth).to.be.above(unattached.offsetWidth)
+  })
+
+  it('applies min and max rows given as options', async () => {
+    const textarea = await setupTextarea('<textarea></textarea>')
+    attach(textarea, { minRows: 2, maxRows: 3 })
+    flush()
+    expect(textarea.offsetHeight).to.equal(2 * 20 + 18)
+
+    textarea.value = FIVE_LINES
+    flush()
+    expect(textarea.offsetHeight).to.equal(3 * 20 + 18)
+  })
+
+  it('detaches and stops resizing', async () => {
+    const textarea = await setupTextarea('<textarea autosize></textarea>')
+    expect(isAttached(textarea)).to.be.true
+
+    detach(textarea)
+    expect(isAttached(textarea)).to.be.false
+
+    await expectHeightNotToChange(textarea).when(async () => {
+      textarea.value = FIVE_LINES
+    })
+  })
+
+  it('fits the default value again on form reset without the autosize attribute', async () => {
+    const textarea = await setupTextarea('<form><textarea>Line 1</textarea></form>')
+    attach(textarea)
+    textarea.value = FIVE_LINES
+    await settled()
+
+    await expectHeightToDecrease(textarea).when(async () => {
+      textarea.form.reset()
+    })
+  })
+
+  it('detaches a textarea attached without the autosize attribute once it is removed', async () => {
+    const textarea = await setupTextarea('<textarea></textarea>')
+    attach(textarea)
+
+    textarea.remove()
+    await settled()
+
+    expect(isAttached(textarea)).to.be.false
+  })
+
+  it('keeps a textarea attached without the autosize attribute when it is moved', async () => {
+    const textarea = await setupTextarea('<textarea></textarea><div></div>')
+    attach(textarea)
+
+    document.querySelector('div').appendChild(textarea)
+    await settled()
+
+    expect(isAttached(textarea)).to.be.true
+    await expectHeightToIncrease(textarea).when(async () => {
+      textarea.value = FIVE_LINES
+    })
+  })
+
+  it('re-measures on demand after changes it cannot see', async () => {
+    const textarea = await setupTextarea('<textarea autosize>Some long content that wraps onto more lines when the font gets bigger</textarea>')
+    await expectHeightToIncrease(textarea).when(async () => {
+      textarea.style.fontSize = '24px'
+      textarea.style.lineHeight = '32px'
+      update(textarea)
+      flush()
+    })
+  })
+})
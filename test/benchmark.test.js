@@ -0,0 +1,165 @@
+import { expect } from '@esm-bundle/chai'
+import { flush } from '../src/pure-autosize.js'
+import { retryAssertion, setupGlobalTestHooks } from './lib/test-helpers.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box;'
+const COUNT = 1000
+
+// Generous budgets: these catch quadratic regressions, not small slowdowns.
+const ATTACH_BUDGET_MS = 3000
+const DETACH_BUDGET_MS = 2000
+
+// About 150 KB of log output
+const LARGE_VALUE = Array.from({ length: 3500 }, (_, i) => `${i} GET /api/items?page=${i} 200 OK in ${i % 97}ms`).join('\n')
+
+function sizingRuleCount(root) {
+  return root.adoptedStyleSheets.reduce((count, sheet) => count + sheet.cssRules.length, 0)
+}
+
+describe('Benchmark', () => {
+  setupGlobalTestHooks()
+  afterEach(() => { document.body.innerHTML = '' })
+
+  it(`attaches and detaches ${COUNT} textareas through one shared stylesheet`, async function() {
+    this.timeout(ATTACH_BUDGET_MS + DETACH_BUDGET_MS + 5000)
+    const container = document.createElement('div')
+    container.innerHTML = Array.from({ length: COUNT }, (_, i) =>
+      `<textarea autosize style="${TA_STYLE}">Row ${i}\nSecond line</textarea>`
+    ).join('')
+
+    const attachStart = performance.now()
+    document.body.appendChild(container)
+    await retryAssertion(() => {
+      expect(sizingRuleCount(document)).to.equal(COUNT)
+    }, ATTACH_BUDGET_MS)
+    const attachTime = performance.now() - attachStart
+
+    expect(document.adoptedStyleSheets.length, 'one sheet for the whole document').to.equal(1)
+    expect(attachTime, `attaching took ${Math.round(attachTime)}ms`).to.be.lessThan(ATTACH_BUDGET_MS)
+
+    const detachStart = performance.now()
+    container.remove()
+    await retryAssertion(() => {
+      expect(document.adoptedStyleSheets.length).to.equal(0)
+    }, DETACH_BUDGET_MS)
+    const detachTime = performance.now() - detachStart
+
+    expect(detachTime, `detaching took ${Math.round(detachTime)}ms`).to.be.lessThan(DETACH_BUDGET_MS)
+  })
+
+  it('only rechecks the positional selectors a mutation can shift', async () => {
+    document.body.innerHTML = Array.from({ length: 100 }, (_, i) =>
+      `<textarea autosize id="row-${i}" style="${TA_STYLE}"></textarea><div><textarea autosize style="${TA_STYLE}"></textarea></div>`
+    ).join('')
+    await new Promise(resolve => setTimeout(resolve, 50))
+    const refreshed = new Set()
+    window.autosizeRegistry.controllers.forEach(({ stylesheetManager }, element) => {
+      const refresh = stylesheetManager.refresh.bind(stylesheetManager)
+      stylesheetManager.refresh = () => {
+        refreshed.add(element)
+        refresh()
+      }
+    })
+
+    // Shifts every textarea, but ids don't depend on position
+    document.body.prepend(document.createElement('p'))
+    await new Promise(resolve => setTimeout(resolve, 50))
+
+    expect(refreshed.size).to.equal(100)
+    refreshed.forEach(element => expect(element.id).to.equal(''))
+  })
+
+  describe(`typing into a textarea holding ${Math.round(LARGE_VALUE.length / 1000)} KB`, () => {
+    let textarea, controller, writes, measurements
+
+    async function setupLarge(style = '') {
+      document.body.innerHTML = `<textarea autosize style="${TA_STYLE} ${style}"></textarea>`
+      textarea = document.querySelector('textarea')
+      textarea.value = LARGE_VALUE
+      await new Promise(resolve => setTimeout(resolve, 50))
+
+      // Counts changes to the sizing rule, clearing it included
+      controller = window.autosizeRegistry.controllers.get(textarea)
+      writes = 0
+      const { stylesheetManager } = controller
+      const replace = stylesheetManager.replace.bind(stylesheetManager)
+      stylesheetManager.replace = (cssRules = '') => {
+        if (cssRules !== stylesheetManager.cssRules) writes++
+        replace(cssRules)
+      }
+
+      // Counts updates that lay the text out again to measure it. The
+      // browser's own editing costs what it costs, and isn't timed.
+      measurements = 0
+      const { resizer } = controller
+      const measure = resizer.measure.bind(resizer)
+      resizer.measure = () => {
+        if (!resizer.state.unchanged) measurements++
+        measure()
+      }
+    }
+
+    // Types at the caret like the browser does, then applies the update
+    function type(text, at) {
+      textarea.focus()
+      textarea.setSelectionRange(at, at)
+      document.execCommand('insertText', false, text)
+      flush()
+    }
+
+    it('coalesces a burst of input events into one update', async () => {
+      await setupLarge()
+      let updates = 0
+      const prepare = controller.resizer.prepare.bind(controller.resizer)
+      controller.resizer.prepare = (...args) => {
+        updates++
+        prepare(...args)
+      }
+
+      textarea.focus()
+      for (let i = 0; i < 20; i++) document.execCommand('insertText', false, 'x')
+      await new Promise(resolve => requestAnimationFrame(resolve))
+
+      expect(updates).to.equal(1)
+    })
+
+    it('leaves the sizing rule alone for edits within a line', async () => {
+      // Wide enough that the edited line doesn't wrap
+      await setupLarge('width:2000px;')
+      const height = textarea.offsetHeight
+      const middle = Math.floor(LARGE_VALUE.length / 2)
+
+      for (let i = 0; i < 40; i++) type('x', middle + i)
+
+      expect(measurements).to.equal(0)
+      expect(writes).to.equal(0)
+      expect(textarea.offsetHeight).to.equal(height)
+    })
+
+    it('grows by a line without clearing the sizing rule', async () => {
+      await setupLarge()
+      const height = textarea.offsetHeight
+
+      type('\n', LARGE_VALUE.indexOf('\n', LARGE_VALUE.length / 2) + 1)
+
+      expect(textarea.offsetHeight).to.equal(height + 20)
+      expect(writes).to.equal(1)
+    })
+
+    it('keeps a capped textarea at its max height while content is deleted', async () => {
+      await setupLarge('max-height:300px;')
+      const middle = Math.floor(LARGE_VALUE.length / 2)
+
+      for (let i = 0; i < 40; i++) {
+        textarea.focus()
+        textarea.setSelectionRange(middle - i, middle - i)
+        document.execCommand(i % 2 ? 'delete' : 'insertLineBreak')
+        flush()
+      }
+
+      expect(measurements).to.equal(0)
+      expect(writes).to.equal(0)
+      expect(textarea.offsetHeight).to.equal(300)
+    })
+  })
+})
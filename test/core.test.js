@@ -0,0 +1,50 @@
+import { expect } from '@esm-bundle/chai'
+import { createRegistry } from '../src/core.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box;'
+const FIVE_LINES = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5'
+
+function settle(ms = 20) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+describe('Core entry point', () => {
+  let registry = null
+
+  afterEach(() => {
+    registry?.destroy()
+    registry = null
+    document.body.innerHTML = ''
+  })
+
+  it('does not start a registry or create a global on import', async () => {
+    document.body.innerHTML = `<textarea autosize style="${TA_STYLE}">${FIVE_LINES}</textarea>`
+    await settle()
+
+    expect(window.autosizeRegistry).to.be.undefined
+    expect(document.adoptedStyleSheets).to.be.empty
+  })
+
+  it('only manages textareas inside the given root', async () => {
+    document.body.innerHTML =
+      `<div id="inside"><textarea autosize style="${TA_STYLE}">${FIVE_LINES}</textarea></div>` +
+      `<div id="outside"><textarea autosize style="${TA_STYLE}">${FIVE_LINES}</textarea></div>`
+    registry = createRegistry({ root: document.getElementById('inside') })
+    await settle()
+
+    const [inside, outside] = document.querySelectorAll('textarea')
+    expect(registry.isAttached(inside)).to.be.true
+    expect(registry.isAttached(outside)).to.be.false
+    expect(inside.offsetHeight).to.be.greaterThan(outside.offsetHeight)
+  })
+
+  it('uses a custom selector', async () => {
+    document.body.innerHTML =
+      `<textarea class="grow" style="${TA_STYLE}"></textarea>` +
+      `<textarea autosize style="${TA_STYLE}"></textarea>`
+    registry = createRegistry({ selector: 'textarea.grow' })
+    await settle()
+
+    const [grow, plain] = document.querySelectorAll('textarea')
+    expect(registry.isAttached(grow)).to.be.true
+    expect(registry.isAttached(plain)).to.be.false
+  })
+})
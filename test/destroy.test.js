@@ -0,0 +1,202 @@
+import { expect } from '@esm-bundle/chai'
+import { createRegistry, destroy, restart, isAttached } from '../src/pure-autosize.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box;'
+const FIVE_LINES = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5'
+
+function settle(ms = 50) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+// Records listeners added and not yet removed, on any target
+function trackListeners() {
+  const { addEventListener, removeEventListener } = EventTarget.prototype
+  const active = new Set()
+  const forget = (target, type, listener) => active.forEach(entry => {
+    if (entry.target === target && entry.type === type && entry.listener === listener) active.delete(entry)
+  })
+
+  EventTarget.prototype.addEventListener = function(type, listener, ...rest) {
+    active.add({ target: this, type, listener })
+    return addEventListener.call(this, type, listener, ...rest)
+  }
+  EventTarget.prototype.removeEventListener = function(type, listener, ...rest) {
+    forget(this, type, listener)
+    return removeEventListener.call(this, type, listener, ...rest)
+  }
+
+  return {
+    active,
+    restore() {
+      EventTarget.prototype.addEventListener = addEventListener
+      EventTarget.prototype.removeEventListener = removeEventListener
+    }
+  }
+}
+
+function rootChildren() {
+  return [...document.documentElement.children].map(element => element.localName)
+}
+
+describe('Registry teardown', () => {
+  let container
+
+  // Keep the registry the module started out of the way of these ones
+  before(() => destroy())
+  after(() => restart())
+
+  beforeEach(() => {
+    container = document.createElement('div')
+    document.body.appendChild(container)
+  })
+  afterEach(() => {
+    container.remove()
+    document.body.innerHTML = ''
+  })
+
+  it('detaches every element and removes its sheets', async () => {
+    container.innerHTML = `<textarea autosize style="${TA_STYLE}">${FIVE_LINES}</textarea><input autosize>`
+    const registry = createRegistry({ root: container })
+    await settle()
+    const elements = [...container.querySelectorAll('[autosize]')]
+    const detached = []
+    container.addEventListener('autosize:detached', event => detached.push(event.target))
+
+    registry.destroy()
+
+    expect(detached).to.have.members(elements)
+    elements.forEach(element => {
+      expect(registry.isAttached(element)).to.be.false
+      expect(Object.getOwnPropertyDescriptor(element, 'value')).to.be.undefined
+    })
+    expect(document.adoptedStyleSheets).to.be.empty
+    expect(registry.stylesheetPool.entries.size).to.equal(0)
+  })
+
+  it('removes every listener it added', async () => {
+    const listeners = trackListeners()
+    try {
+      container.innerHTML = `<form><textarea autosize style="${TA_STYLE}"></textarea></form>`
+      const host = document.createElement('div')
+      host.attachShadow({ mode: 'open' }).innerHTML = `<textarea autosize style="${TA_STYLE}"></textarea>`
+      container.appendChild(host)
+      const registry = createRegistry({ root: container })
+      await settle()
+      expect(listeners.active.size).to.be.greaterThan(0)
+
+      registry.destroy()
+
+      expect([...listeners.active].map(({ type }) => type)).to.be.empty
+    } finally {
+      listeners.restore()
+    }
+  })
+
+  it('removes its DOMContentLoaded listener when destroyed while loading', () => {
+    const listeners = trackListeners()
+    Object.defineProperty(document, 'readyState', { value: 'loading', configurable: true })
+    try {
+      const registry = createRegistry({ root: container })
+      registry.destroy()
+      document.dispatchEvent(new Event('DOMContentLoaded'))
+
+      expect([...listeners.active].map(({ type }) => type)).to.be.empty
+      expect(registry.cssQueryObserver.observer).to.be.null
+    } finally {
+      delete document.readyState
+      listeners.restore()
+    }
+  })
+
+  it('leaves no nodes after <body> and restores attachShadow', async () => {
+    container.innerHTML = `<textarea autosize autosize-follow-caret autosize-measure="mirror" style="${TA_STYLE}"></textarea>`
+    const registry = createRegistry({ root: container })
+    await settle()
+    const textarea = container.querySelector('textarea')
+    textarea.focus()
+    textarea.value = FIVE_LINES
+    await settle()
+    expect(rootChildren()).to.have.length.above(2)
+
+    registry.destroy()
+
+    expect(rootChildren()).to.deep.equal(['head', 'body'])
+    expect(Element.prototype.attachShadow.toString()).to.include('[native code]')
+  })
+
+  it('stops watching for new elements', async () => {
+    const registry = createRegistry({ root: container })
+    registry.destroy()
+
+    container.innerHTML = `<textarea autosize style="${TA_STYLE}"></textarea>`
+    await settle()
+
+    expect(registry.isAttached(container.querySelector('textarea'))).to.be.false
+  })
+
+  it('ignores attach calls once destroyed', () => {
+    const registry = createRegistry({ root: container })
+    registry.destroy()
+    container.innerHTML = '<textarea></textarea>'
+
+    registry.attach(container.querySelector('textarea'))
+
+    expect(registry.controllers.size).to.equal(0)
+  })
+
+  it('drops pending updates and lazy elements still waiting', async () => {
+    container.innerHTML =
+      `<textarea autosize style="${TA_STYLE}"></textarea>` +
+      `<textarea autosize="lazy" style="${TA_STYLE} position:absolute; top:5000px"></textarea>`
+    const registry = createRegistry({ root: container })
+    await settle()
+    const [textarea, lazy] = container.querySelectorAll('textarea')
+    const initialHeight = textarea.offsetHeight
+    expect(registry.isAttached(lazy)).to.be.true
+
+    textarea.value = FIVE_LINES
+    registry.destroy()
+    await settle()
+
+    expect(textarea.offsetHeight).to.equal(initialHeight)
+    expect(registry.lazyLoader.observers.size).to.equal(0)
+  })
+
+  it('lets a fresh registry take over the same elements', async () => {
+    container.innerHTML = `<textarea autosize style="${TA_STYLE}"></textarea>`
+    createRegistry({ root: container }).destroy()
+
+    const registry = createRegistry({ root: container })
+    await settle()
+    const textarea = container.querySelector('textarea')
+    const initialHeight = textarea.offsetHeight
+    textarea.value = FIVE_LINES
+    await settle()
+
+    expect(textarea.offsetHeight).to.be.greaterThan(initialHeight)
+    registry.destroy()
+  })
+
+  describe('of the registry the module started', () => {
+    beforeEach(() => restart())
+    afterEach(() => destroy())
+
+    it('replaces window.autosizeRegistry on restart', async () => {
+      container.innerHTML = `<textarea autosize style="${TA_STYLE}"></textarea>`
+      await settle()
+      const previous = window.autosizeRegistry
+      const textarea = container.querySelector('textarea')
+
+      restart()
+      await settle()
+
+      expect(window.autosizeRegistry).to.not.equal(previous)
+      expect(previous.controllers.size).to.equal(0)
+      expect(isAttached(textarea)).to.be.true
+      expect(window.autosizeRegistry.isAttached(textarea)).to.be.true
+    })
+
+    it('removes window.autosizeRegistry on destroy', () => {
+      destroy()
+      expect(window.autosizeRegistry).to.be.undefined
+    })
+  })
+})
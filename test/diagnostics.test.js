@@ -0,0 +1,141 @@
+import { expect } from '@esm-bundle/chai'
+import { createRegistry } from '../src/pure-autosize.js'
+import { setupGlobalTestHooks } from './lib/test-helpers.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box; resize:none;'
+const FIVE_LINES = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5'
+
+function settle(ms = 50) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+describe('Diagnostics', () => {
+  const { debug, warn } = console
+  let logs, warnings
+
+  setupGlobalTestHooks()
+  beforeEach(() => {
+    logs = []
+    warnings = []
+    console.debug = (...args) => logs.push(args)
+    console.warn = (...args) => warnings.push(args.join(' '))
+  })
+  afterEach(() => {
+    console.debug = debug
+    console.warn = warn
+    document.body.innerHTML = ''
+  })
+
+  async function setup(attributes, style = TA_STYLE, value = FIVE_LINES) {
+    document.body.innerHTML = `<textarea autosize ${attributes} style="${style}">${value}</textarea>`
+    await settle()
+    return document.querySelector('textarea')
+  }
+
+  function detailsFor(textarea) {
+    return logs.filter(([, element]) => element === textarea).map(([, , details]) => details)
+  }
+
+  it('logs nothing without autosize-debug', async () => {
+    await setup('')
+    expect(logs).to.be.empty
+    expect(warnings).to.be.empty
+  })
+
+  it('logs what each update measured and decided', async () => {
+    const textarea = await setup('autosize-debug')
+    const [details] = detailsFor(textarea)
+
+    expect(details).to.include({
+      trigger: 'attach',
+      decision: 'fits the content',
+      scrollHeight: 116,
+      boxSizing: 'border-box: 116 scrollHeight + 2 border = 118',
+      contentHeight: 118,
+      maxHeight: 'none',
+      overflowRule: 'overflow: hidden !important;',
+      height: 118
+    })
+  })
+
+  it('logs the max-height clamp and the overflow rule it chose', async () => {
+    const textarea = await setup('autosize-debug autosize-max-rows="3"', `${TA_STYLE} overflow:hidden;`)
+    const [details] = detailsFor(textarea)
+
+    expect(details).to.include({
+      decision: 'clamped to max-height or max rows',
+      maxHeight: 78,
+      overflowRule: 'overflow: scroll !important;',
+      height: 78
+    })
+  })
+
+  it('logs what triggered an update', async () => {
+    const textarea = await setup('autosize-debug')
+
+    textarea.value = 'Line 1'
+    await settle()
+
+    expect(detailsFor(textarea).at(-1)).to.include({ trigger: 'value set', height: 58 })
+  })
+
+  it('logs for every textarea of a registry created with debug', async () => {
+    const container = document.createElement('div')
+    container.innerHTML = `<textarea style="${TA_STYLE}">${FIVE_LINES}</textarea>`
+    document.body.appendChild(container)
+    const registry = createRegistry({ root: container, selector: 'textarea', debug: true })
+    await settle()
+
+    expect(detailsFor(container.querySelector('textarea'))).to.have.length(1)
+    registry.destroy()
+  })
+
+  describe('warnings', () => {
+    it('flags a height declared with !important elsewhere', async () => {
+      await setup('autosize-debug', `${TA_STYLE} height:40px !important;`)
+      expect(warnings.join('\n')).to.include('is 40px tall instead of 118px')
+    })
+
+    it('flags rows that disagree with min rows', async () => {
+      await setup('autosize-debug rows="4" autosize-min-rows="2"')
+      expect(warnings.join('\n')).to.include('rows="4"')
+    })
+
+    it('flags a resize handle without autosize-manual', async () => {
+      await setup('autosize-debug', `${TA_STYLE} resize:vertical;`)
+      expect(warnings.join('\n')).to.include('resize handle')
+    })
+
+    it('does not flag a resize handle with autosize-manual', async () => {
+      await setup('autosize-debug autosize-manual', `${TA_STYLE} resize:vertical;`)
+      expect(warnings).to.be.empty
+    })
+
+    it('flags a textarea that is not rendered', async () => {
+      await setup('autosize-debug', `${TA_STYLE} display:none;`)
+      expect(warnings.join('\n')).to.include("isn't rendered")
+    })
+
+    // Removals are only seen inside the root a registry watches
+    it('flags a textarea removed from the document but still attached', async () => {
+      document.body.innerHTML = `<section></section><textarea style="${TA_STYLE}"></textarea>`
+      const registry = createRegistry({ root: document.querySelector('section') })
+      const textarea = document.querySelector('textarea')
+      registry.attach(textarea, { debug: true })
+      await settle()
+
+      textarea.remove()
+      textarea.value = FIVE_LINES
+      await settle()
+
+      expect(warnings.join('\n')).to.include('was removed from the document')
+      registry.destroy()
+    })
+
+    it('warns about each problem once', async () => {
+      const textarea = await setup('autosize-debug', `${TA_STYLE} resize:vertical;`)
+      textarea.value = 'Line 1'
+      await settle()
+
+      expect(warnings.filter(warning => warning.includes('resize handle'))).to.have.length(1)
+    })
+  })
+})
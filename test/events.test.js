@@ -0,0 +1,90 @@
+import { expect } from '@esm-bundle/chai'
+import '../src/pure-autosize.js'
+import { setupTextarea, setupGlobalTestHooks } from './lib/test-helpers.js'
+
+const FIVE_LINES = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5'
+
+function settle(ms = 50) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+function recordEvents(target, ...names) {
+  const events = []
+  names.forEach(name => target.addEventListener(`autosize:${name}`, event => events.push(event)))
+  return events
+}
+
+describe('Lifecycle events', () => {
+  setupGlobalTestHooks()
+  afterEach(() => { document.body.innerHTML = '' })
+
+  it('fires autosize:attached, bubbling to the document', async () => {
+    const events = recordEvents(document, 'attached')
+    const textarea = await setupTextarea('<textarea autosize></textarea>')
+
+    expect(events).to.have.length(1)
+    expect(events[0].target).to.equal(textarea)
+  })
+
+  it('fires autosize:detached when the textarea is removed', async () => {
+    const textarea = await setupTextarea('<textarea autosize></textarea>')
+    const events = recordEvents(textarea, 'detached')
+
+    textarea.remove()
+    await settle()
+
+    expect(events).to.have.length(1)
+  })
+
+  it('fires autosize:resized with the previous and new heights', async () => {
+    const textarea = await setupTextarea('<textarea autosize></textarea>')
+    const initialHeight = textarea.offsetHeight
+    const events = recordEvents(textarea, 'resized')
+
+    textarea.value = FIVE_LINES
+    await settle()
+
+    expect(events).to.have.length(1)
+    expect(events[0].detail).to.deep.equal({ previousHeight: initialHeight, height: textarea.offsetHeight })
+    expect(events[0].detail.height).to.be.greaterThan(initialHeight)
+  })
+
+  it('does not fire autosize:resized when the height stays the same', async () => {
+    const textarea = await setupTextarea('<textarea autosize>Line 1\nLine 2</textarea>')
+    const events = recordEvents(textarea, 'beforeresize', 'resized')
+
+    textarea.value = 'Line A\nLine B'
+    await settle()
+
+    expect(events).to.be.empty
+  })
+
+  it('keeps the current height when autosize:beforeresize is canceled', async () => {
+    const textarea = await setupTextarea('<textarea autosize></textarea>')
+    const initialHeight = textarea.offsetHeight
+    const events = recordEvents(textarea, 'resized')
+    textarea.addEventListener('autosize:beforeresize', event => {
+      expect(event.detail.previousHeight).to.equal(initialHeight)
+      expect(event.detail.height).to.be.greaterThan(initialHeight)
+      event.preventDefault()
+    })
+
+    textarea.value = FIVE_LINES
+    await settle()
+
+    expect(textarea.offsetHeight).to.equal(initialHeight)
+    expect(events).to.be.empty
+  })
+
+  it('fires autosize:overflow when the content passes max-height and when it fits again', async () => {
+    const textarea = await setupTextarea('<textarea autosize style="max-height: 80px; overflow: hidden"></textarea>')
+    const events = recordEvents(textarea, 'overflow')
+
+    textarea.value = FIVE_LINES
+    await settle()
+    expect(events.map(event => event.detail.overflowing)).to.deep.equal([true])
+    expect(getComputedStyle(textarea).overflowY).to.equal('scroll')
+
+    textarea.value = 'Line 1'
+    await settle()
+    expect(events.map(event => event.detail.overflowing)).to.deep.equal([true, false])
+  })
+})
@@ -0,0 +1,72 @@
+import { expect } from '@esm-bundle/chai'
+import '../src/pure-autosize.js'
+import { simulateTyping } from './lib/test-helpers.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box; display:block;'
+const TWELVE_LINES = 'L1\nL2\nL3\nL4\nL5\nL6\nL7\nL8\nL9\nL10\nL11\nL12'
+
+function settle(ms = 60) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+async function setupScroller(attributes) {
+  document.body.innerHTML =
+    `<div id="scroller" style="height:150px; overflow:auto;">` +
+      `<textarea autosize ${attributes} style="${TA_STYLE}">${TWELVE_LINES}</textarea>` +
+      `<div style="height:40px"></div>` +
+    `</div>`
+  await settle()
+  return [document.getElementById('scroller'), document.querySelector('textarea')]
+}
+
+// The caret sits on the last line once the textarea is scrolled to show it
+function caretLineBottom(textarea) {
+  const { bottom } = textarea.getBoundingClientRect()
+  return bottom - 1 - 8 // border, padding
+}
+
+describe('Follow caret', () => {
+  beforeEach(() => { document.adoptedStyleSheets = [] })
+  afterEach(() => { document.body.innerHTML = ''; document.adoptedStyleSheets = [] })
+
+  it('scrolls just enough to keep the caret line visible while typing at the end', async () => {
+    const [scroller, textarea] = await setupScroller('autosize-follow-caret')
+    textarea.focus()
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length)
+    scroller.scrollTop = scroller.scrollHeight - scroller.clientHeight - 40 // bottom of the textarea in view
+
+    simulateTyping(textarea, '\nL13\nL14\nL15')
+    await settle()
+
+    const visibleBottom = scroller.getBoundingClientRect().bottom
+    expect(caretLineBottom(textarea)).to.be.at.most(visibleBottom + 1)
+    expect(caretLineBottom(textarea), 'no further than needed').to.be.at.least(visibleBottom - 2)
+  })
+
+  it('does not scroll when the caret stays visible after an edit above it', async () => {
+    const [scroller, textarea] = await setupScroller('autosize-follow-caret')
+    textarea.focus()
+    scroller.scrollTop = 100
+    const caretPosition = textarea.value.indexOf('L8')
+    textarea.setSelectionRange(caretPosition, caretPosition)
+
+    const descriptor = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value')
+    descriptor.set.call(textarea, 'L0\n' + textarea.value)
+    textarea.setSelectionRange(caretPosition + 3, caretPosition + 3)
+    textarea.dispatchEvent(new Event('input', { bubbles: true }))
+    await settle()
+
+    expect(scroller.scrollTop).to.equal(100)
+  })
+
+  it('leaves scroll positions alone without the attribute', async () => {
+    const [scroller, textarea] = await setupScroller('')
+    textarea.focus()
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length)
+    scroller.scrollTop = scroller.scrollHeight - scroller.clientHeight - 40
+    const before = scroller.scrollTop
+
+    simulateTyping(textarea, '\nL13\nL14\nL15')
+    await settle()
+
+    expect(scroller.scrollTop).to.equal(before)
+  })
+})
@@ -0,0 +1,73 @@
+import { expect } from '@esm-bundle/chai'
+import { flush } from '../src/pure-autosize.js'
+import { setupGlobalTestHooks } from './lib/test-helpers.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box;'
+const FIVE_LINES = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5'
+
+function settle(ms = 50) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+// Stands in for a web font swapping in: line heights change without any
+// mutation autosize can observe.
+const SWAPPED_IN = '<style>.swapped { line-height: 30px !important }</style>'
+
+function textarea(family) {
+  return `<textarea autosize style="${TA_STYLE} font-family:${family}">${FIVE_LINES}</textarea>`
+}
+
+function fontsLoaded(...families) {
+  document.fonts.dispatchEvent(new FontFaceSetLoadEvent('loadingdone', {
+    fontfaces: families.map(family => new FontFace(family, 'local(Arial)'))
+  }))
+}
+
+describe('Web fonts', () => {
+  setupGlobalTestHooks()
+  afterEach(() => { document.body.innerHTML = '' })
+
+  it('re-measures textareas using a font once it has loaded', async () => {
+    document.body.innerHTML = SWAPPED_IN + textarea("'Brand Sans', sans-serif")
+    await settle()
+    const element = document.querySelector('textarea')
+    const initialHeight = element.offsetHeight
+
+    element.classList.add('swapped')
+    await settle()
+    expect(element.offsetHeight).to.equal(initialHeight)
+
+    fontsLoaded('Brand Sans')
+    flush()
+
+    expect(element.offsetHeight).to.equal(initialHeight + 5 * 10)
+  })
+
+  it('leaves textareas using other fonts alone', async () => {
+    document.body.innerHTML = SWAPPED_IN + textarea('Georgia, serif')
+    await settle()
+    const element = document.querySelector('textarea')
+    const initialHeight = element.offsetHeight
+
+    element.classList.add('swapped')
+    fontsLoaded('Brand Sans')
+    flush()
+
+    expect(element.offsetHeight).to.equal(initialHeight)
+  })
+
+  it('batches every affected textarea into one update', async () => {
+    document.body.innerHTML = SWAPPED_IN + textarea("'Brand Sans'") + textarea('brand sans, serif')
+    await settle()
+    const elements = [...document.querySelectorAll('textarea')]
+    const resized = []
+    const onResized = event => resized.push(event.target)
+    document.addEventListener('autosize:resized', onResized)
+
+    elements.forEach(element => element.classList.add('swapped'))
+    fontsLoaded('Brand Sans', 'Brand Serif')
+    expect(resized).to.be.empty
+
+    await settle()
+    document.removeEventListener('autosize:resized', onResized)
+    expect(resized).to.have.members(elements)
+  })
+})
@@ -0,0 +1,109 @@
+import { expect } from '@esm-bundle/chai'
+import { attach } from '../src/pure-autosize.js'
+import { simulateTyping, setupGlobalTestHooks } from './lib/test-helpers.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box;'
+
+function settle(ms = 50) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+function lines(count) {
+  return Array.from({ length: count }, (_, i) => `Line ${i + 1}`).join('\n')
+}
+
+function heightForLines(count) {
+  return count * 20 + 18
+}
+
+function textarea(group, lineCount, attributes = '') {
+  return `<textarea autosize autosize-group="${group}" ${attributes} style="${TA_STYLE}">${lines(lineCount)}</textarea>`
+}
+
+async function setup(html) {
+  document.body.innerHTML = html
+  await settle()
+  return [...document.querySelectorAll('textarea')]
+}
+
+describe('Groups', () => {
+  setupGlobalTestHooks()
+  afterEach(() => { document.body.innerHTML = '' })
+
+  it('gives every member the height of the tallest', async () => {
+    const [source, translation] = await setup(textarea('editor', 5) + textarea('editor', 2))
+
+    expect(source.offsetHeight).to.equal(heightForLines(5))
+    expect(translation.offsetHeight).to.equal(heightForLines(5))
+  })
+
+  it('grows the whole group when a shorter member outgrows the tallest', async () => {
+    const [source, translation] = await setup(textarea('editor', 5) + textarea('editor', 2))
+
+    simulateTyping(translation, `\n${lines(5)}`)
+    await settle()
+
+    expect(source.offsetHeight).to.equal(heightForLines(7))
+    expect(translation.offsetHeight).to.equal(heightForLines(7))
+  })
+
+  it('shrinks the whole group when the tallest member shrinks', async () => {
+    const [source, translation] = await setup(textarea('editor', 5) + textarea('editor', 3))
+
+    source.value = lines(2)
+    await settle()
+
+    expect(source.offsetHeight).to.equal(heightForLines(3))
+    expect(translation.offsetHeight).to.equal(heightForLines(3))
+  })
+
+  it('keeps groups apart from each other and from ungrouped textareas', async () => {
+    const [a, b, other, ungrouped] = await setup(
+      textarea('a', 5) + textarea('a', 2) + textarea('b', 3) +
+      `<textarea autosize style="${TA_STYLE}">${lines(2)}</textarea>`
+    )
+
+    expect(a.offsetHeight).to.equal(heightForLines(5))
+    expect(b.offsetHeight).to.equal(heightForLines(5))
+    expect(other.offsetHeight).to.equal(heightForLines(3))
+    expect(ungrouped.offsetHeight).to.equal(heightForLines(2))
+  })
+
+  it('shrinks the rest of the group when the tallest member is removed', async () => {
+    const [source, translation] = await setup(textarea('editor', 5) + textarea('editor', 3))
+
+    source.remove()
+    await settle()
+
+    expect(translation.offsetHeight).to.equal(heightForLines(3))
+  })
+
+  it('grows the group when a taller member is added', async () => {
+    const [source] = await setup(textarea('editor', 3))
+
+    document.body.insertAdjacentHTML('beforeend', textarea('editor', 6))
+    await settle()
+
+    expect(source.offsetHeight).to.equal(heightForLines(6))
+  })
+
+  it("keeps each member within its own max rows", async () => {
+    const [source, capped] = await setup(textarea('editor', 5) + textarea('editor', 2, 'autosize-max-rows="3"'))
+
+    expect(source.offsetHeight).to.equal(heightForLines(5))
+    expect(capped.offsetHeight).to.equal(heightForLines(3))
+  })
+
+  it('writes no inline styles', async () => {
+    const [, translation] = await setup(textarea('editor', 5) + textarea('editor', 2))
+    expect(translation.getAttribute('style')).to.equal(TA_STYLE)
+  })
+
+  it('accepts group as an attach option', async () => {
+    const [source, translation] = await setup(textarea('editor', 5) + `<textarea style="${TA_STYLE}">${lines(2)}</textarea>`)
+
+    attach(translation, { group: 'editor' })
+    await settle()
+
+    expect(translation.offsetHeight).to.equal(source.offsetHeight)
+    window.autosizeRegistry.detach(translation)
+  })
+})
@@ -0,0 +1,119 @@
+import { expect } from '@esm-bundle/chai'
+import { attach } from '../src/pure-autosize.js'
+import { simulateBackspace, simulateTyping, setupGlobalTestHooks } from './lib/test-helpers.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box;'
+const FIVE_LINES = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5'
+
+function settle(ms = 50) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+function heightForLines(count) {
+  return count * 20 + 18
+}
+
+async function setup(autosize = 'grow-only', value = FIVE_LINES) {
+  document.body.innerHTML = `<form><textarea autosize="${autosize}" style="${TA_STYLE}">${value}</textarea></form>`
+  await settle()
+  const textarea = document.querySelector('textarea')
+  textarea.focus()
+  return textarea
+}
+
+describe('Grow-only', () => {
+  setupGlobalTestHooks()
+  afterEach(() => { document.body.innerHTML = '' })
+
+  it('keeps its height while focused and text is deleted', async () => {
+    const textarea = await setup()
+    expect(textarea.offsetHeight).to.equal(heightForLines(5))
+
+    simulateBackspace(textarea, 'Line 4\nLine 5'.length + 1)
+    await settle()
+
+    expect(textarea.offsetHeight).to.equal(heightForLines(5))
+  })
+
+  it('still grows while focused', async () => {
+    const textarea = await setup()
+
+    simulateTyping(textarea, '\nLine 6')
+    await settle()
+
+    expect(textarea.offsetHeight).to.equal(heightForLines(6))
+  })
+
+  it('fits its content again on blur', async () => {
+    const textarea = await setup()
+    simulateBackspace(textarea, 'Line 4\nLine 5'.length + 1)
+    await settle()
+
+    textarea.blur()
+    await settle()
+
+    expect(textarea.offsetHeight).to.equal(heightForLines(3))
+  })
+
+  it('fits its content again on form reset', async () => {
+    const textarea = await setup('grow-only', 'Line 1\nLine 2\nLine 3')
+    simulateTyping(textarea, '\nLine 4\nLine 5')
+    await settle()
+    expect(textarea.offsetHeight).to.equal(heightForLines(5))
+
+    textarea.form.reset()
+    await settle()
+
+    expect(textarea.offsetHeight).to.equal(heightForLines(3))
+  })
+
+  it('fits its content again when emptied', async () => {
+    const textarea = await setup('grow-only', 'Line 1\nLine 2\nLine 3')
+    const emptyHeight = heightForLines(2) // the default two rows
+
+    textarea.value = ''
+    await settle()
+
+    expect(textarea.offsetHeight).to.equal(emptyHeight)
+  })
+
+  it('shrinks as usual while not focused', async () => {
+    const textarea = await setup()
+    textarea.blur()
+
+    textarea.value = 'Line 1\nLine 2\nLine 3'
+    await settle()
+
+    expect(textarea.offsetHeight).to.equal(heightForLines(3))
+  })
+
+  it('combines with lazy', async () => {
+    const textarea = await setup('lazy grow-only')
+    expect(window.autosizeRegistry.lazyLoader.observers.has(textarea)).to.be.false
+    expect(textarea.offsetHeight).to.equal(heightForLines(5))
+
+    textarea.value = 'Line 1'
+    await settle()
+
+    expect(textarea.offsetHeight).to.equal(heightForLines(5))
+  })
+
+  it('waits to become visible when lazy', async () => {
+    document.body.innerHTML = `<textarea autosize="grow-only lazy" style="${TA_STYLE} position:absolute; top:5000px"></textarea>`
+    await settle()
+
+    expect(window.autosizeRegistry.lazyLoader.observers.has(document.querySelector('textarea'))).to.be.true
+  })
+
+  it('accepts growOnly as an attach option', async () => {
+    document.body.innerHTML = `<textarea style="${TA_STYLE}">${FIVE_LINES}</textarea>`
+    const textarea = document.querySelector('textarea')
+    attach(textarea, { growOnly: true })
+    await settle()
+    textarea.focus()
+
+    textarea.value = 'Line 1'
+    await settle()
+
+    expect(textarea.offsetHeight).to.equal(heightForLines(5))
+    window.autosizeRegistry.detach(textarea)
+  })
+})
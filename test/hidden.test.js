@@ -0,0 +1,100 @@
+import { expect } from '@esm-bundle/chai'
+import '../src/pure-autosize.js'
+import { setupGlobalTestHooks } from './lib/test-helpers.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box;'
+const FIVE_LINES = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5'
+const FIVE_LINES_HEIGHT = 5 * 20 + 18
+
+function settle(ms = 50) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+function nextFrame() { return new Promise(resolve => requestAnimationFrame(resolve)) }
+
+async function setup(html) {
+  document.body.innerHTML = html
+  await settle()
+  return document.querySelector('textarea')
+}
+
+describe('Hidden textareas', () => {
+  setupGlobalTestHooks()
+  afterEach(() => { document.body.innerHTML = '' })
+
+  it('sizes a textarea in a display:none panel once the panel is shown', async () => {
+    const textarea = await setup(`<div id="panel" style="display:none"><textarea autosize style="${TA_STYLE}">${FIVE_LINES}</textarea></div>`)
+    expect(textarea.scrollHeight).to.equal(0)
+
+    document.getElementById('panel').style.display = ''
+    await settle()
+
+    expect(textarea.offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+  })
+
+  it('sizes a textarea in a collapsed <details> once it is opened', async () => {
+    const textarea = await setup(`<details><summary>More</summary><textarea autosize style="${TA_STYLE}">${FIVE_LINES}</textarea></details>`)
+
+    document.querySelector('details').open = true
+    await settle()
+
+    expect(textarea.offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+  })
+
+  it('sizes a textarea before the frame its panel is shown in is painted', async () => {
+    const textarea = await setup(`<div id="panel" style="display:none"><textarea autosize style="${TA_STYLE}">${FIVE_LINES}</textarea></div>`)
+
+    document.getElementById('panel').style.display = ''
+    // Layout and ResizeObserver run after this frame's callbacks, and the
+    // next frame's run before anything scheduled from there
+    await nextFrame()
+    await nextFrame()
+
+    expect(textarea.offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+  })
+
+  it('sizes a textarea in a closed <dialog> once it is shown', async () => {
+    const textarea = await setup(`<dialog><textarea autosize style="${TA_STYLE}">${FIVE_LINES}</textarea></dialog>`)
+
+    document.querySelector('dialog').show()
+    await settle()
+
+    expect(textarea.offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+  })
+
+  it('sizes a textarea shown in the same frame it was first measured while hidden', async () => {
+    document.body.innerHTML = `<div hidden><textarea autosize style="${TA_STYLE}">${FIVE_LINES}</textarea></div>`
+    const textarea = document.querySelector('textarea')
+    await new Promise(resolve => queueMicrotask(resolve)) // attached
+    await new Promise(resolve => queueMicrotask(resolve)) // measured while hidden
+    expect(window.autosizeRegistry.isAttached(textarea)).to.be.true
+
+    textarea.parentElement.hidden = false
+    await settle()
+
+    expect(textarea.offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+  })
+
+  it('sizes a textarea whose value was set while it was hidden', async () => {
+    const textarea = await setup(`<div hidden><textarea autosize style="${TA_STYLE}"></textarea></div>`)
+    textarea.value = FIVE_LINES
+    await settle()
+
+    textarea.parentElement.hidden = false
+    await settle()
+
+    expect(textarea.offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+  })
+
+  it('sizes a textarea hidden after being sized and shown again with new content', async () => {
+    const textarea = await setup(`<div><textarea autosize style="${TA_STYLE}"></textarea></div>`)
+    const panel = textarea.parentElement
+    panel.hidden = true
+    await settle()
+    textarea.value = FIVE_LINES
+    await settle()
+
+    panel.hidden = false
+    await settle()
+
+    expect(textarea.offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+  })
+})
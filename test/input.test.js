@@ -0,0 +1,96 @@
+import { expect } from '@esm-bundle/chai'
+import '../src/pure-autosize.js'
+import { retryAssertion, setupGlobalTestHooks } from './lib/test-helpers.js'
+
+const INPUT_STYLE = 'font-size:14px; padding:4px 8px; border:1px solid #ccc; box-sizing:border-box;'
+const LONG_TEXT = 'A much longer value than the input started out with'
+
+function settle(ms = 50) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+async function setupInput(attributes = '', type = 'text') {
+  document.body.innerHTML = `<input type="${type}" autosize ${attributes} style="${INPUT_STYLE}">`
+  await settle()
+  return document.querySelector('input')
+}
+
+function typeInto(input, text) {
+  const descriptor = Object.getOwnPropertyDescriptor(HTMLInputElement.prototype, 'value')
+  for (const character of text) {
+    descriptor.set.call(input, input.value + character)
+    input.dispatchEvent(new Event('input', { bubbles: true }))
+  }
+}
+
+function expectTextToFit(input) {
+  expect(input.scrollWidth, 'the value fits without scrolling').to.be.at.most(input.clientWidth)
+}
+
+describe('Input autosize', () => {
+  setupGlobalTestHooks()
+  afterEach(() => { document.body.innerHTML = '' })
+
+  it('grows its width as the user types', async () => {
+    const input = await setupInput()
+    const initialWidth = input.offsetWidth
+
+    typeInto(input, LONG_TEXT)
+    await retryAssertion(() => expect(input.offsetWidth).to.be.greaterThan(initialWidth))
+    expectTextToFit(input)
+  })
+
+  it('shrinks when the value is set programmatically', async () => {
+    const input = await setupInput(`value="${LONG_TEXT}"`)
+    const initialWidth = input.offsetWidth
+
+    input.value = 'Short'
+    await retryAssertion(() => expect(input.offsetWidth).to.be.lessThan(initialWidth))
+    expectTextToFit(input)
+  })
+
+  it('fits the placeholder while empty', async () => {
+    const input = await setupInput('placeholder="Add a tag to this post"')
+    const withPlaceholder = input.offsetWidth
+
+    input.removeAttribute('placeholder')
+    await retryAssertion(() => expect(input.offsetWidth).to.be.lessThan(withPlaceholder))
+  })
+
+  it('respects min and max widths', async () => {
+    const input = await setupInput('autosize-min-width="80" autosize-max-width="150"')
+    expect(input.offsetWidth).to.equal(80)
+
+    input.value = LONG_TEXT
+    await settle()
+    expect(input.offsetWidth).to.equal(150)
+  })
+
+  it('shrinks back after a form reset', async () => {
+    document.body.innerHTML = `<form><input type="search" autosize value="Hi" style="${INPUT_STYLE}"></form>`
+    await settle()
+    const input = document.querySelector('input')
+    const initialWidth = input.offsetWidth
+
+    typeInto(input, LONG_TEXT)
+    await retryAssertion(() => expect(input.offsetWidth).to.be.greaterThan(initialWidth))
+
+    document.querySelector('form').reset()
+    await retryAssertion(() => expect(input.offsetWidth).to.equal(initialWidth))
+  })
+
+  it('waits until visible in lazy mode', async () => {
+    document.body.innerHTML = `<input autosize="lazy" value="${LONG_TEXT}" style="${INPUT_STYLE} position:absolute; top:5000px">`
+    await settle()
+    const input = document.querySelector('input')
+    const initialWidth = input.offsetWidth
+
+    input.style.top = '0px'
+    await retryAssertion(() => expect(input.offsetWidth).to.be.greaterThan(initialWidth))
+  })
+
+  it('measures masked characters for passwords', async () => {
+    const input = await setupInput('', 'password')
+    input.value = 'correct horse battery staple'
+    await settle()
+    expectTextToFit(input)
+  })
+})
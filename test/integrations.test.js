@@ -0,0 +1,122 @@
+import { expect } from '@esm-bundle/chai'
+import { restart } from '../src/pure-autosize.js'
+import { connectFrameworks } from '../src/integrations.js'
+import { setupGlobalTestHooks } from './lib/test-helpers.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box;'
+const FIVE_LINES = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5'
+const ROOMY_HEIGHT = 5 * 30 + 18
+const ROOMY = '<style>.roomy { line-height: 30px !important }</style>'
+
+function settle(ms = 50) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+function textarea(id) {
+  return `${ROOMY}<textarea autosize id="${id}" style="${TA_STYLE}">${FIVE_LINES}</textarea>`
+}
+
+// A morph that changes a textarea's class restyles it without any change
+// autosize watches for.
+function morphClass(element) {
+  element.classList.add('roomy')
+}
+
+describe('Framework integrations', () => {
+  let disconnect
+
+  setupGlobalTestHooks()
+  beforeEach(() => { disconnect = connectFrameworks() })
+  afterEach(() => {
+    disconnect()
+    document.body.innerHTML = ''
+  })
+
+  for (const name of ['turbo:render', 'turbo:morph', 'phx:update']) {
+    it(`re-measures textareas across the page on ${name}`, async () => {
+      document.body.innerHTML = textarea('first') + textarea('second')
+      await settle()
+      const elements = [...document.querySelectorAll('textarea')]
+      const initialHeight = elements[0].offsetHeight
+
+      elements.forEach(element => morphClass(element))
+      await settle()
+      expect(elements[0].offsetHeight).to.equal(initialHeight)
+
+      document.dispatchEvent(new CustomEvent(name, { bubbles: true }))
+      await settle()
+
+      elements.forEach(element => expect(element.offsetHeight).to.equal(ROOMY_HEIGHT))
+    })
+  }
+
+  for (const name of ['turbo:frame-render', 'htmx:afterSettle']) {
+    it(`re-measures only textareas inside the swapped element on ${name}`, async () => {
+      document.body.innerHTML =
+        `<div id="swapped">${textarea('inside')}</div>` +
+        `<div>${textarea('outside')}</div>`
+      await settle()
+      const inside = document.getElementById('inside')
+      const outside = document.getElementById('outside')
+      const initialHeight = outside.offsetHeight
+
+      morphClass(inside)
+      morphClass(outside)
+      document.getElementById('swapped').dispatchEvent(new CustomEvent(name, { bubbles: true }))
+      await settle()
+
+      expect(inside.offsetHeight).to.equal(ROOMY_HEIGHT)
+      expect(outside.offsetHeight).to.equal(initialHeight)
+    })
+  }
+
+  it('re-measures textareas in shadow roots inside the swapped element', async () => {
+    document.body.innerHTML = '<div id="swapped"><div id="host"></div></div>'
+    const shadowRoot = document.getElementById('host').attachShadow({ mode: 'open' })
+    shadowRoot.innerHTML = textarea('shadowed')
+    await settle()
+    const element = shadowRoot.getElementById('shadowed')
+
+    morphClass(element)
+    document.getElementById('swapped').dispatchEvent(new CustomEvent('htmx:afterSettle', { bubbles: true }))
+    await settle()
+
+    expect(element.offsetHeight).to.equal(ROOMY_HEIGHT)
+  })
+
+  it('applies pending updates before Turbo caches the page', async () => {
+    document.body.innerHTML = textarea('cached')
+    await settle()
+    const element = document.getElementById('cached')
+
+    element.value = `${FIVE_LINES}\nLine 6`
+    document.dispatchEvent(new CustomEvent('turbo:before-cache', { bubbles: true }))
+
+    expect(element.offsetHeight).to.equal(6 * 20 + 18)
+  })
+
+  it('updates the registry that replaced the one it connected to', async () => {
+    restart()
+    document.body.innerHTML = textarea('restarted')
+    await settle()
+    const element = document.getElementById('restarted')
+
+    morphClass(element)
+    document.dispatchEvent(new CustomEvent('turbo:render', { bubbles: true }))
+    await settle()
+
+    expect(element.offsetHeight).to.equal(ROOMY_HEIGHT)
+  })
+
+  it('stops listening once disconnected', async () => {
+    document.body.innerHTML = textarea('disconnected')
+    await settle()
+    const element = document.getElementById('disconnected')
+    const initialHeight = element.offsetHeight
+
+    disconnect()
+    morphClass(element)
+    document.dispatchEvent(new CustomEvent('turbo:render', { bubbles: true }))
+    await settle()
+
+    expect(element.offsetHeight).to.equal(initialHeight)
+  })
+})
@@ -205,52 +205,5 @@ export async function setupTextarea(html, options = {}) {
   return textarea
 }
 
-/**
- * User interaction simulation helpers
- *
- * Usage:
- * simulateTyping(textarea, 'Hello\nWorld')
- * simulateTyping(textarea, 'New text', { replace: true }); // Select-all-and-type
- */
-
-// Simulate realistic character-by-character typing
-export function simulateTyping(element, text, options = {}) {
-  const descriptor = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value')
-
-  // If replace option is true, start with empty value (simulates select-all-and-type)
-  let currentValue = options.replace ? '' : element.value
-
-  // If replacing, first set empty value and fire input event
-  if (options.replace) {
-    descriptor.set.call(element, '')
-    element.dispatchEvent(new Event('input', { bubbles: true }))
-  }
-
-  // Then type character by character
-  for (let i = 0; i < text.length; i++) {
-    currentValue += text[i]
-    // Set value using prototype to avoid triggering our override
-    descriptor.set.call(element, currentValue)
-    // Fire input event for each keystroke (simplified version of real typing)
-    element.dispatchEvent(new Event('input', { bubbles: true }))
-  }
-}
-
-// Simulate paste operation (single content change + input event)
-export function simulatePaste(element, text) {
-  const descriptor = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value')
-  descriptor.set.call(element, text)
-  element.dispatchEvent(new Event('input', { bubbles: true }))
-}
-
-// Simulate backspace deletion (character by character)
-export function simulateBackspace(element, charactersToDelete) {
-  const descriptor = Object.getOwnPropertyDescriptor(HTMLTextAreaElement.prototype, 'value')
-  let currentValue = element.value
-
-  for (let i = 0; i < charactersToDelete; i++) {
-    currentValue = currentValue.slice(0, -1)
-    descriptor.set.call(element, currentValue)
-    element.dispatchEvent(new Event('input', { bubbles: true }))
-  }
-}
+// User interaction simulation helpers, shipped in pure-autosize/testing
+export { simulateTyping, simulatePaste, simulateBackspace } from '../../src/testing.js'
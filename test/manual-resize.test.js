@@ -0,0 +1,111 @@
+import { expect } from '@esm-bundle/chai'
+import '../src/pure-autosize.js'
+import { setupGlobalTestHooks } from './lib/test-helpers.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box; resize:vertical;'
+
+function settle(ms = 50) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+function lines(count) {
+  return Array.from({ length: count }, (_, i) => `Line ${i + 1}`).join('\n')
+}
+
+function heightForLines(count) {
+  return count * 20 + 18
+}
+
+async function setup(attributes, value = lines(2)) {
+  document.body.innerHTML = `<form><textarea autosize ${attributes} style="${TA_STYLE}">${value}</textarea></form>`
+  await settle()
+  return document.querySelector('textarea')
+}
+
+// Does what the browser does when the handle is dragged: an inline height
+// follows the pointer until it's released. Returns the height mid-drag.
+function dragHandle(textarea, height, { x = -4, y = -4 } = {}) {
+  const { right, bottom } = textarea.getBoundingClientRect()
+  textarea.dispatchEvent(new PointerEvent('pointerdown', { bubbles: true, clientX: right + x, clientY: bottom + y }))
+  textarea.style.height = `${height}px`
+  const heightWhileDragging = textarea.offsetHeight
+  textarea.dispatchEvent(new PointerEvent('pointerup', { bubbles: true }))
+  return heightWhileDragging
+}
+
+describe('Manual resizing', () => {
+  setupGlobalTestHooks()
+  afterEach(() => { document.body.innerHTML = '' })
+
+  describe('autosize-manual="stop"', () => {
+    it('lets the handle set the height and keeps it', async () => {
+      const textarea = await setup('autosize-manual="stop"')
+
+      expect(dragHandle(textarea, 250)).to.equal(250)
+
+      expect(textarea.offsetHeight).to.equal(250)
+      expect(textarea.getAttribute('style')).to.equal(TA_STYLE)
+    })
+
+    it('stops autosizing, scrolling content that does not fit', async () => {
+      const textarea = await setup('autosize-manual="stop"')
+      dragHandle(textarea, 150)
+
+      textarea.value = lines(15)
+      await settle()
+      expect(textarea.offsetHeight).to.equal(150)
+      expect(window.getComputedStyle(textarea).overflowY).to.equal('auto')
+
+      textarea.value = lines(1)
+      await settle()
+      expect(textarea.offsetHeight).to.equal(150)
+    })
+
+    it('autosizes again after a form reset', async () => {
+      const textarea = await setup('autosize-manual="stop"')
+      dragHandle(textarea, 250)
+
+      textarea.form.reset()
+      await settle()
+
+      expect(textarea.offsetHeight).to.equal(heightForLines(2))
+    })
+
+    it('survives a morph restoring the style attribute', async () => {
+      const textarea = await setup('autosize-manual')
+      dragHandle(textarea, 250)
+
+      textarea.setAttribute('style', TA_STYLE)
+      textarea.value = lines(3)
+      await settle()
+
+      expect(textarea.offsetHeight).to.equal(250)
+    })
+  })
+
+  describe('autosize-manual="min"', () => {
+    it('treats the dragged height as the minimum', async () => {
+      const textarea = await setup('autosize-manual="min"')
+      dragHandle(textarea, 150)
+      expect(textarea.offsetHeight).to.equal(150)
+
+      textarea.value = lines(10)
+      await settle()
+      expect(textarea.offsetHeight).to.equal(heightForLines(10))
+
+      textarea.value = lines(2)
+      await settle()
+      expect(textarea.offsetHeight).to.equal(150)
+    })
+  })
+
+  it('ignores the handle without autosize-manual', async () => {
+    const textarea = await setup('')
+
+    expect(dragHandle(textarea, 250)).to.equal(heightForLines(2))
+  })
+
+  it('ignores pointers away from the handle', async () => {
+    const textarea = await setup('autosize-manual')
+
+    expect(dragHandle(textarea, 250, { x: -100, y: -20 })).to.equal(heightForLines(2))
+  })
+})
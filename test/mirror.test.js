@@ -0,0 +1,159 @@
+import { expect } from '@esm-bundle/chai'
+import { createRegistry, flush } from '../src/pure-autosize.js'
+import { setupGlobalTestHooks } from './lib/test-helpers.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box;'
+const FIVE_LINES = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5'
+const WRAPPING = 'A sentence long enough to wrap onto several lines of a narrow textarea.'
+
+function settle(ms = 50) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+function lines(count) {
+  return Array.from({ length: count }, (_, i) => `Line ${i + 1}`).join('\n')
+}
+
+// Counts the times the sizing rule is cleared to measure
+function countResets(textarea) {
+  const { stylesheetManager } = window.autosizeRegistry.controllers.get(textarea)
+  const reset = stylesheetManager.reset.bind(stylesheetManager)
+  const counter = { count: 0 }
+  stylesheetManager.reset = () => {
+    counter.count++
+    reset()
+  }
+  return counter
+}
+
+describe('Mirror measuring', () => {
+  setupGlobalTestHooks()
+  afterEach(() => { document.body.innerHTML = '' })
+
+  async function setup(attributes = '', style = TA_STYLE, value = '') {
+    document.body.innerHTML =
+      `<textarea autosize autosize-measure="mirror" ${attributes} style="${style}">${value}</textarea>` +
+      `<textarea autosize ${attributes} style="${style}">${value}</textarea>`
+    await settle()
+    return [...document.querySelectorAll('textarea')]
+  }
+
+  it('sizes textareas the same as clearing the rule does', async () => {
+    const [mirrored, cleared] = await setup()
+
+    for (const value of [FIVE_LINES, 'Line 1', WRAPPING, `${WRAPPING}\n${WRAPPING}`, 'Short', `${FIVE_LINES}\n`]) {
+      mirrored.value = value
+      cleared.value = value
+      await settle()
+      expect(mirrored.offsetHeight, JSON.stringify(value)).to.equal(cleared.offsetHeight)
+    }
+  })
+
+  it('shrinks and grows without clearing the visible textarea', async () => {
+    const [textarea] = await setup('', TA_STYLE, FIVE_LINES)
+    const resets = countResets(textarea)
+
+    textarea.value = 'Line 1'
+    await settle()
+    expect(textarea.offsetHeight).to.equal(2 * 20 + 18)
+
+    textarea.value = `Line 0\n${FIVE_LINES}`
+    await settle()
+    expect(textarea.offsetHeight).to.equal(6 * 20 + 18)
+
+    expect(resets.count).to.equal(0)
+  })
+
+  it('applies max-height and scrolls the rest', async () => {
+    const [textarea] = await setup('', `${TA_STYLE} max-height:100px; overflow:hidden;`)
+
+    textarea.value = lines(10)
+    await settle()
+    expect(textarea.offsetHeight).to.equal(100)
+    expect(window.getComputedStyle(textarea).overflowY).to.equal('scroll')
+
+    textarea.value = 'Line 1'
+    await settle()
+    expect(textarea.offsetHeight).to.equal(2 * 20 + 18)
+    expect(window.getComputedStyle(textarea).overflowY).to.equal('hidden')
+  })
+
+  it('applies autosize-max-rows', async () => {
+    const [textarea] = await setup('autosize-max-rows="3"', TA_STYLE, FIVE_LINES)
+
+    textarea.value = lines(10)
+    await settle()
+    expect(textarea.offsetHeight).to.equal(3 * 20 + 18)
+
+    textarea.value = 'Line 1\nLine 2'
+    await settle()
+    expect(textarea.offsetHeight).to.equal(2 * 20 + 18)
+  })
+
+  it('is not affected by page styles aimed at textareas', async () => {
+    const [textarea] = await setup('', TA_STYLE, FIVE_LINES)
+    const style = document.createElement('style')
+    style.textContent = 'textarea:not([autosize]) { min-height: 300px !important; padding: 50px !important; }'
+    document.head.appendChild(style)
+
+    try {
+      textarea.value = 'Line 1'
+      await settle()
+      expect(textarea.offsetHeight).to.equal(2 * 20 + 18)
+    } finally {
+      style.remove()
+    }
+  })
+
+  it('starts an animated shrink from the current height', async () => {
+    const [textarea] = await setup('autosize-animate="200"', TA_STYLE, FIVE_LINES)
+
+    textarea.value = 'Line 1'
+    flush()
+
+    expect(textarea.offsetHeight).to.equal(5 * 20 + 18)
+    await settle(300)
+    expect(textarea.offsetHeight).to.equal(2 * 20 + 18)
+  })
+
+  it('keeps a grouped textarea as tall as the tallest member', async () => {
+    document.body.innerHTML =
+      `<textarea autosize autosize-measure="mirror" autosize-group="g" style="${TA_STYLE}">${FIVE_LINES}</textarea>` +
+      `<textarea autosize autosize-group="g" style="${TA_STYLE}">Line 1</textarea>`
+    await settle()
+    const [mirrored, other] = document.querySelectorAll('textarea')
+
+    mirrored.value = 'Line 1'
+    other.value = lines(3)
+    await settle()
+
+    expect(mirrored.offsetHeight).to.equal(3 * 20 + 18)
+    expect(other.offsetHeight).to.equal(3 * 20 + 18)
+  })
+
+  it('keeps its mirrors out of reach of registries', async () => {
+    const registry = createRegistry({ selector: 'textarea' })
+    try {
+      const [textarea] = await setup('', TA_STYLE, FIVE_LINES)
+      textarea.value = 'Line 1'
+      await settle()
+
+      expect([...registry.controllers.keys()].every(element => element.isConnected && document.contains(element))).to.be.true
+    } finally {
+      registry.destroy()
+    }
+  })
+
+  it('removes the mirrors once no textarea uses them', async () => {
+    // Let earlier tests' textareas detach first
+    await settle()
+    const before = document.documentElement.children.length
+    const [textarea] = await setup('', TA_STYLE, FIVE_LINES)
+    textarea.value = 'Line 1'
+    await settle()
+    expect(document.documentElement.children.length).to.be.greaterThan(before)
+
+    document.body.innerHTML = ''
+    await settle()
+
+    expect(document.documentElement.children.length).to.equal(before)
+  })
+})
@@ -0,0 +1,114 @@
+import { expect } from '@esm-bundle/chai'
+import { createRegistry } from '../src/pure-autosize.js'
+import {
+  expectHeightToIncrease,
+  setupTextarea,
+  setupGlobalTestHooks
+} from './lib/test-helpers.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box;'
+const FIVE_LINES = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5'
+const LONG_VALUE = 'A value wider than an input is by default'
+
+function settle(ms = 20) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+describe('Morph safety', () => {
+  setupGlobalTestHooks()
+  afterEach(() => { document.body.innerHTML = '' })
+
+  it('does not add an id or any other attribute to the textarea', async () => {
+    const textarea = await setupTextarea('<textarea autosize></textarea>')
+    const attributesBefore = textarea.getAttributeNames()
+
+    await expectHeightToIncrease(textarea).when(async () => {
+      textarea.value = FIVE_LINES
+    })
+
+    expect(textarea.hasAttribute('id')).to.be.false
+    expect(textarea.getAttributeNames()).to.deep.equal(attributesBefore)
+  })
+
+  it('keeps targeting textareas by an id the app gave them', async () => {
+    const textarea = await setupTextarea('<textarea autosize id="post[body]"></textarea>')
+
+    await expectHeightToIncrease(textarea).when(async () => {
+      textarea.value = FIVE_LINES
+    })
+    expect(textarea.id).to.equal('post[body]')
+  })
+
+  it('keeps each textarea its own height when siblings are inserted before them', async () => {
+    document.body.innerHTML =
+      `<div><textarea autosize style="${TA_STYLE}">${FIVE_LINES}</textarea>` +
+      `<textarea autosize style="${TA_STYLE}"></textarea></div>`
+    await settle()
+
+    const [tall, short] = document.querySelectorAll('textarea')
+    const tallHeight = tall.offsetHeight
+    const shortHeight = short.offsetHeight
+    expect(tallHeight).to.be.greaterThan(shortHeight)
+
+    tall.before(document.createElement('p'))
+    await settle()
+
+    expect(tall.offsetHeight).to.equal(tallHeight)
+    expect(short.offsetHeight).to.equal(shortHeight)
+  })
+
+  it('keeps the height when a node is inserted before the root of a scoped registry', async () => {
+    document.body.innerHTML = `<div><section><textarea class="scoped" style="${TA_STYLE}">${FIVE_LINES}</textarea></section></div>`
+    const registry = createRegistry({ root: document.querySelector('section'), selector: 'textarea.scoped' })
+    try {
+      await settle()
+      const textarea = document.querySelector('textarea')
+      const height = textarea.offsetHeight
+
+      document.body.prepend(document.createElement('p'))
+      await settle()
+
+      expect(textarea.offsetHeight).to.equal(height)
+    } finally {
+      registry.destroy()
+    }
+  })
+
+  // Inputs aren't re-measured when removed, so nothing else empties the rule
+  it('does not size an input inserted where a removed one that is still attached was', async () => {
+    document.body.innerHTML = `<section><input class="scoped" value="${LONG_VALUE}"></section>`
+    const section = document.querySelector('section')
+    const registry = createRegistry({ root: section, selector: 'input.scoped' })
+    try {
+      await settle()
+      const input = section.querySelector('input')
+      const width = input.offsetWidth
+
+      // Removing the root leaves its inputs attached
+      section.remove()
+      document.body.innerHTML = `<section><input value="${LONG_VALUE}"></section>`
+      await settle()
+      expect(document.querySelector('input').offsetWidth).to.be.lessThan(width)
+
+      document.body.replaceChildren(section)
+      await settle()
+      expect(input.offsetWidth).to.equal(width)
+    } finally {
+      registry.destroy()
+    }
+  })
+
+  it('targets id-less textareas at the top of a shadow root', async () => {
+    const host = document.createElement('div')
+    host.attachShadow({ mode: 'open' }).innerHTML =
+      `<textarea autosize style="${TA_STYLE}"></textarea><textarea autosize style="${TA_STYLE}"></textarea>`
+    document.body.appendChild(host)
+    await settle()
+
+    const [first, second] = host.shadowRoot.querySelectorAll('textarea')
+    const initialHeight = second.offsetHeight
+
+    await expectHeightToIncrease(first).when(async () => {
+      first.value = FIVE_LINES
+    })
+    expect(second.offsetHeight).to.equal(initialHeight)
+  })
+})
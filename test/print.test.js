@@ -0,0 +1,125 @@
+import { expect } from '@esm-bundle/chai'
+import '../src/pure-autosize.js'
+import { setupGlobalTestHooks } from './lib/test-helpers.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box;'
+const TEN_LINES = Array.from({ length: 10 }, (_, i) => `Line ${i + 1}`).join('\n')
+const TEN_LINES_HEIGHT = 10 * 20 + 18
+
+function settle(ms = 50) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+async function setup(attributes, style = '') {
+  document.body.innerHTML = `<textarea autosize ${attributes} style="${TA_STYLE} ${style}">${TEN_LINES}</textarea>`
+  await settle()
+  return document.querySelector('textarea')
+}
+
+// Drags the resize handle to the given height, as the browser would
+function dragHandle(textarea, height) {
+  const { right, bottom } = textarea.getBoundingClientRect()
+  textarea.dispatchEvent(new PointerEvent('pointerdown', { bubbles: true, clientX: right - 4, clientY: bottom - 4 }))
+  textarea.style.height = `${height}px`
+  textarea.dispatchEvent(new PointerEvent('pointerup', { bubbles: true }))
+}
+
+function print(phase) {
+  window.dispatchEvent(new Event(phase))
+}
+
+describe('Printing', () => {
+  setupGlobalTestHooks()
+  afterEach(() => {
+    print('afterprint')
+    document.body.innerHTML = ''
+  })
+
+  it('expands a textarea capped by max-height to its full content while printing', async () => {
+    const textarea = await setup('', 'max-height:100px;')
+    expect(textarea.offsetHeight).to.equal(100)
+
+    print('beforeprint')
+
+    expect(textarea.offsetHeight).to.equal(TEN_LINES_HEIGHT)
+    expect(window.getComputedStyle(textarea).overflowY).to.equal('hidden')
+  })
+
+  it('expands a textarea capped by autosize-max-rows while printing', async () => {
+    const textarea = await setup('autosize-max-rows="3"')
+    expect(textarea.offsetHeight).to.equal(3 * 20 + 18)
+
+    print('beforeprint')
+
+    expect(textarea.offsetHeight).to.equal(TEN_LINES_HEIGHT)
+  })
+
+  it('expands a lazy textarea that was never scrolled into view while printing', async () => {
+    document.body.innerHTML = `<textarea autosize="lazy" style="${TA_STYLE} position:absolute; top:5000px;">${TEN_LINES}</textarea>`
+    await settle()
+    const textarea = document.querySelector('textarea')
+    expect(window.autosizeRegistry.controllers.has(textarea)).to.be.false
+
+    print('beforeprint')
+
+    expect(textarea.offsetHeight).to.equal(TEN_LINES_HEIGHT)
+  })
+
+  it('restores the cap and scrolling after printing', async () => {
+    const textarea = await setup('', 'max-height:100px; overflow:hidden;')
+    const overflowY = window.getComputedStyle(textarea).overflowY
+
+    print('beforeprint')
+    print('afterprint')
+
+    expect(textarea.offsetHeight).to.equal(100)
+    expect(window.getComputedStyle(textarea).overflowY).to.equal(overflowY)
+  })
+
+  it('restores the cap of a focused grow-only textarea after printing', async () => {
+    document.body.innerHTML = `<textarea autosize="grow-only" style="${TA_STYLE} max-height:100px;">${TEN_LINES}</textarea>`
+    await settle()
+    const textarea = document.querySelector('textarea')
+    textarea.focus()
+
+    print('beforeprint')
+    expect(textarea.offsetHeight).to.equal(TEN_LINES_HEIGHT)
+    print('afterprint')
+
+    expect(textarea.offsetHeight).to.equal(100)
+  })
+
+  it('expands a textarea sized by hand while printing and restores its size after', async () => {
+    const textarea = await setup('autosize-manual="stop"', 'resize:vertical;')
+    dragHandle(textarea, 100)
+    await settle()
+    expect(textarea.offsetHeight).to.equal(100)
+
+    print('beforeprint')
+    expect(textarea.offsetHeight).to.equal(TEN_LINES_HEIGHT)
+    print('afterprint')
+
+    expect(textarea.offsetHeight).to.equal(100)
+  })
+
+  it('leaves the style attribute alone', async () => {
+    const textarea = await setup('', 'max-height:100px;')
+    const style = textarea.getAttribute('style')
+
+    print('beforeprint')
+    expect(textarea.getAttribute('style')).to.equal(style)
+    print('afterprint')
+    expect(textarea.getAttribute('style')).to.equal(style)
+  })
+
+  it('does not dispatch resize or overflow events for printing', async () => {
+    const textarea = await setup('', 'max-height:100px;')
+    const events = []
+    for (const name of ['beforeresize', 'resized', 'overflow']) {
+      textarea.addEventListener(`autosize:${name}`, event => events.push(event.type))
+    }
+
+    print('beforeprint')
+    print('afterprint')
+
+    expect(events).to.be.empty
+  })
+})
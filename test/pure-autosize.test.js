@@ -120,6 +120,28 @@ describe('Pure Autosize', () => {
         })
       })
 
+      it('should shrink when lines are deleted after a programmatic set', async () => {
+        const textarea = await setupTextarea('<textarea autosize></textarea>')
+        await expectHeightToIncrease(textarea).when(async () => {
+          textarea.value = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5'
+        })
+
+        await expectHeightToDecrease(textarea).when(async () => {
+          simulatePaste(textarea, 'Line 1\nLine 2\nLine 3')
+        })
+      })
+
+      it('should shrink when lines are deleted after the content changes', async () => {
+        const textarea = await setupTextarea('<textarea autosize></textarea>')
+        await expectHeightToIncrease(textarea).when(async () => {
+          textarea.defaultValue = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5'
+        })
+
+        await expectHeightToDecrease(textarea).when(async () => {
+          simulatePaste(textarea, 'Line 1\nLine 2\nLine 3')
+        })
+      })
+
       it('should handle rapid value changes', async () => {
         const textarea = await setupTextarea('<textarea autosize></textarea>')
         await expectHeightToIncrease(textarea).when(async () => {
@@ -0,0 +1,55 @@
+import { expect } from '@esm-bundle/chai'
+import '../src/pure-autosize.js'
+import { setupTextarea, setupGlobalTestHooks } from './lib/test-helpers.js'
+
+// setupTextarea uses a 20px line height, 8px padding and a 1px border (border-box)
+function heightForRows(rows) { return rows * 20 + 2 * 8 + 2 * 1 }
+
+function settle(ms = 50) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+describe('Min and max rows', () => {
+  setupGlobalTestHooks()
+
+  it('applies min rows to an empty textarea', async () => {
+    const textarea = await setupTextarea('<textarea autosize autosize-min-rows="4"></textarea>')
+    expect(textarea.offsetHeight).to.equal(heightForRows(4))
+  })
+
+  it('keeps min rows when the content is shorter', async () => {
+    const textarea = await setupTextarea('<textarea autosize autosize-min-rows="4">Line 1\nLine 2\nLine 3\nLine 4\nLine 5\nLine 6</textarea>')
+    textarea.value = 'Line 1'
+    await settle()
+    expect(textarea.offsetHeight).to.equal(heightForRows(4))
+  })
+
+  it('grows past min rows with the content', async () => {
+    const textarea = await setupTextarea('<textarea autosize autosize-min-rows="2">Line 1\nLine 2\nLine 3\nLine 4</textarea>')
+    expect(textarea.offsetHeight).to.equal(heightForRows(4))
+  })
+
+  it('caps the height at max rows and scrolls the rest', async () => {
+    const textarea = await setupTextarea('<textarea autosize autosize-max-rows="3" style="overflow: hidden"></textarea>')
+    textarea.value = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5\nLine 6'
+    await settle()
+
+    expect(textarea.offsetHeight).to.equal(heightForRows(3))
+    expect(getComputedStyle(textarea).overflowY).to.equal('scroll')
+  })
+
+  it('uses the smaller of max rows and max-height', async () => {
+    const textarea = await setupTextarea(`<textarea autosize autosize-max-rows="5" style="max-height: ${heightForRows(2)}px"></textarea>`)
+    textarea.value = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5\nLine 6'
+    await settle()
+
+    expect(textarea.offsetHeight).to.equal(heightForRows(2))
+  })
+
+  it('re-measures when the attributes change', async () => {
+    const textarea = await setupTextarea('<textarea autosize autosize-min-rows="2"></textarea>')
+    expect(textarea.offsetHeight).to.equal(heightForRows(2))
+
+    textarea.setAttribute('autosize-min-rows', '5')
+    await settle()
+    expect(textarea.offsetHeight).to.equal(heightForRows(5))
+  })
+})
@@ -0,0 +1,89 @@
+import { expect } from '@esm-bundle/chai'
+import '../src/pure-autosize.js'
+import { simulateTyping, setupGlobalTestHooks } from './lib/test-helpers.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box;'
+const LONG_LINE = 'This is some long content that will wrap differently when the width changes'
+
+function settle(ms = 20) { return new Promise(resolve => setTimeout(resolve, ms)) }
+function nextFrame() { return new Promise(resolve => requestAnimationFrame(() => resolve())) }
+
+// Records layout reads (getComputedStyle) and stylesheet writes (cssText) in order
+function recordLayoutAccess() {
+  const log = []
+  const originalGetComputedStyle = window.getComputedStyle
+  const cssTextDescriptor = Object.getOwnPropertyDescriptor(CSSStyleDeclaration.prototype, 'cssText')
+
+  window.getComputedStyle = function(...args) {
+    log.push('read')
+    return originalGetComputedStyle.apply(this, args)
+  }
+  Object.defineProperty(CSSStyleDeclaration.prototype, 'cssText', {
+    ...cssTextDescriptor,
+    set(value) {
+      log.push('write')
+      cssTextDescriptor.set.call(this, value)
+    }
+  })
+
+  return {
+    log,
+    restore() {
+      window.getComputedStyle = originalGetComputedStyle
+      Object.defineProperty(CSSStyleDeclaration.prototype, 'cssText', cssTextDescriptor)
+    }
+  }
+}
+
+describe('Update scheduling', () => {
+  setupGlobalTestHooks()
+  afterEach(() => { document.body.innerHTML = '' })
+
+  it('reads every textarea before writing any stylesheet rule', async () => {
+    document.body.innerHTML = [1, 2, 3].map(() =>
+      `<textarea autosize style="${TA_STYLE}">${LONG_LINE}</textarea>`
+    ).join('')
+    await settle()
+    document.querySelectorAll('textarea').forEach(textarea => { textarea.style.width = '100px' })
+
+    const recorder = recordLayoutAccess()
+    try {
+      window.autosizeRegistry.update()
+      window.autosizeRegistry.flush()
+    } finally {
+      recorder.restore()
+    }
+
+    expect(recorder.log.join(' ')).to.equal('read read read write write write')
+  })
+
+  it('coalesces rapid typing into a single measurement per frame', async () => {
+    document.body.innerHTML = `<textarea autosize style="${TA_STYLE}"></textarea>`
+    const textarea = document.querySelector('textarea')
+    await settle()
+
+    const recorder = recordLayoutAccess()
+    try {
+      simulateTyping(textarea, 'Line 1\nLine 2\nLine 3')
+      expect(recorder.log, 'nothing is measured synchronously').to.be.empty
+      await nextFrame()
+    } finally {
+      recorder.restore()
+    }
+
+    expect(recorder.log.filter(entry => entry === 'read')).to.have.length(1)
+  })
+
+  it('applies value changes in the next animation frame', async () => {
+    document.body.innerHTML = `<textarea autosize style="${TA_STYLE}"></textarea>`
+    const textarea = document.querySelector('textarea')
+    await settle()
+
+    const initialHeight = textarea.offsetHeight
+    textarea.value = 'Line 1\nLine 2\nLine 3\nLine 4'
+    expect(textarea.offsetHeight, 'not applied synchronously').to.equal(initialHeight)
+
+    await nextFrame()
+    expect(textarea.offsetHeight).to.be.greaterThan(initialHeight)
+  })
+})
@@ -0,0 +1,96 @@
+import { expect } from '@esm-bundle/chai'
+import '../src/pure-autosize.js'
+import {
+  expectHeightToIncrease,
+  expectHeightToDecrease,
+  setupGlobalTestHooks
+} from './lib/test-helpers.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box;'
+const FIVE_LINES = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5'
+
+function settle(ms = 20) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+function createHost(innerHTML) {
+  const host = document.createElement('div')
+  host.attachShadow({ mode: 'open' }).innerHTML = innerHTML
+  return host
+}
+
+describe('Shadow DOM', () => {
+  setupGlobalTestHooks()
+  afterEach(() => { document.body.innerHTML = '' })
+
+  it('autosizes a textarea inside a shadow root added to the document', async () => {
+    const host = createHost(`<textarea autosize style="${TA_STYLE}"></textarea>`)
+    document.body.appendChild(host)
+    await settle()
+
+    const textarea = host.shadowRoot.querySelector('textarea')
+    await expectHeightToIncrease(textarea).when(async () => {
+      textarea.value = FIVE_LINES
+    })
+  })
+
+  it('adopts the sizing sheet into the shadow root rather than the document', async () => {
+    const host = createHost(`<textarea autosize style="${TA_STYLE}">${FIVE_LINES}</textarea>`)
+    document.body.appendChild(host)
+    await settle()
+
+    expect(host.shadowRoot.adoptedStyleSheets.length).to.be.greaterThan(0)
+    expect(document.adoptedStyleSheets.length).to.equal(0)
+  })
+
+  it('finds shadow roots attached after their host was inserted', async () => {
+    const host = document.createElement('div')
+    document.body.appendChild(host)
+    await settle()
+
+    host.attachShadow({ mode: 'open' }).innerHTML = `<textarea autosize style="${TA_STYLE}"></textarea>`
+    await settle()
+
+    const textarea = host.shadowRoot.querySelector('textarea')
+    await expectHeightToIncrease(textarea).when(async () => {
+      textarea.value = FIVE_LINES
+    })
+  })
+
+  it('finds textareas in nested shadow roots', async () => {
+    const inner = createHost(`<textarea autosize style="${TA_STYLE}"></textarea>`)
+    const outer = createHost('<section></section>')
+    outer.shadowRoot.querySelector('section').appendChild(inner)
+    document.body.appendChild(outer)
+    await settle()
+
+    const textarea = inner.shadowRoot.querySelector('textarea')
+    await expectHeightToIncrease(textarea).when(async () => {
+      textarea.value = FIVE_LINES
+    })
+  })
+
+  it('stops managing textareas when their host is removed', async () => {
+    const host = createHost(`<textarea autosize style="${TA_STYLE}"></textarea>`)
+    document.body.appendChild(host)
+    await settle()
+
+    const textarea = host.shadowRoot.querySelector('textarea')
+    host.remove()
+    await settle()
+
+    expect(Object.getOwnPropertyDescriptor(textarea, 'value')).to.be.undefined
+  })
+
+  it('shrinks after a reset of a form inside a shadow root', async () => {
+    const host = createHost(`<form><textarea autosize style="${TA_STYLE}"></textarea></form>`)
+    document.body.appendChild(host)
+    await settle()
+
+    const textarea = host.shadowRoot.querySelector('textarea')
+    textarea.value = FIVE_LINES
+    await settle()
+
+    await expectHeightToDecrease(textarea).when(async () => {
+      host.shadowRoot.querySelector('form').reset()
+    })
+  })
+})
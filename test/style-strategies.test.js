@@ -0,0 +1,197 @@
+import { expect } from '@esm-bundle/chai'
+import { createRegistry } from '../src/pure-autosize.js'
+import { setupGlobalTestHooks } from './lib/test-helpers.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box;'
+const FIVE_LINES = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5'
+const FIVE_LINES_HEIGHT = 5 * 20 + 18
+const ONE_LINE_HEIGHT = 2 * 20 + 18
+
+function settle(ms = 50) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+// Replaces a property, or removes it without a descriptor, and returns a
+// function that puts it back
+function stub(object, property, descriptor) {
+  const original = Object.getOwnPropertyDescriptor(object, property)
+  if (descriptor) {
+    Object.defineProperty(object, property, { configurable: true, ...descriptor })
+  } else {
+    delete object[property]
+  }
+  return () => Object.defineProperty(object, property, original)
+}
+
+describe('Style strategies', () => {
+  let container, registry
+
+  setupGlobalTestHooks()
+  beforeEach(() => {
+    container = document.createElement('div')
+    document.body.appendChild(container)
+  })
+  afterEach(() => {
+    registry?.destroy()
+    registry = null
+    container.remove()
+  })
+
+  async function setup(styles, html = `<textarea class="sized" style="${TA_STYLE}">${FIVE_LINES}</textarea>`) {
+    container.innerHTML = html
+    registry = createRegistry({ root: container, selector: 'textarea.sized', styles })
+    await settle()
+    return container.querySelector('textarea')
+  }
+
+  describe('detection', () => {
+    const restorers = []
+    afterEach(() => restorers.splice(0).forEach(restore => restore()))
+
+    it('uses adopted stylesheets where supported', () => {
+      registry = createRegistry({ root: container })
+      expect(registry.stylesheetPool.strategyName).to.equal('adopted')
+    })
+
+    it('falls back to a style element when CSSStyleSheet cannot be constructed', () => {
+      restorers.push(stub(window, 'CSSStyleSheet', { value: function() { throw new TypeError('Illegal constructor') } }))
+      registry = createRegistry({ root: container })
+      expect(registry.stylesheetPool.strategyName).to.equal('element')
+    })
+
+    it('falls back to a style element without adoptedStyleSheets', () => {
+      restorers.push(stub(Document.prototype, 'adoptedStyleSheets'))
+      registry = createRegistry({ root: container })
+      expect(registry.stylesheetPool.strategyName).to.equal('element')
+    })
+
+    it('falls back to inline styles when style elements get no sheet either', async () => {
+      restorers.push(stub(window, 'CSSStyleSheet', { value: function() { throw new TypeError('Illegal constructor') } }))
+      restorers.push(stub(HTMLStyleElement.prototype, 'sheet', { get: () => null }))
+
+      const textarea = await setup(undefined)
+
+      expect(registry.stylesheetPool.strategyName).to.equal('inline')
+      expect(textarea.offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+    })
+  })
+
+  describe('style element', () => {
+    function styleElements() {
+      return [...document.head.querySelectorAll('style[id^="pure-autosize-"]')]
+    }
+
+    it('sizes textareas through a style element in the head', async () => {
+      const textarea = await setup('element')
+      expect(textarea.offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+
+      textarea.value = 'Line 1'
+      await settle()
+      expect(textarea.offsetHeight).to.equal(ONE_LINE_HEIGHT)
+      expect(textarea.getAttribute('style')).to.equal(TA_STYLE)
+      expect(document.adoptedStyleSheets).to.be.empty
+    })
+
+    it('marks the style element for morphing libraries to keep', async () => {
+      await setup('element')
+      const [element] = styleElements()
+
+      expect(element.hasAttribute('data-turbo-permanent')).to.be.true
+      expect(element.getAttribute('hx-preserve')).to.equal('true')
+      expect(element.getAttribute('im-preserve')).to.equal('true')
+    })
+
+    it('puts the style element and every rule back when a morph removes it', async () => {
+      await setup('element',
+        `<textarea class="sized" style="${TA_STYLE}">${FIVE_LINES}</textarea>` +
+        `<textarea class="sized" style="${TA_STYLE}">${FIVE_LINES}</textarea>`)
+      const [first, second] = container.querySelectorAll('textarea')
+
+      styleElements().forEach(element => element.remove())
+      first.value = `${FIVE_LINES}\nLine 6`
+      await settle()
+
+      expect(styleElements()).to.have.length(1)
+      expect(first.offsetHeight).to.equal(FIVE_LINES_HEIGHT + 20)
+      expect(second.offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+    })
+
+    it('puts the style element in the shadow root of textareas inside one', async () => {
+      const host = document.createElement('div')
+      host.attachShadow({ mode: 'open' }).innerHTML = `<textarea class="sized" style="${TA_STYLE}">${FIVE_LINES}</textarea>`
+      container.appendChild(host)
+      registry = createRegistry({ root: container, selector: 'textarea.sized', styles: 'element' })
+      await settle()
+
+      expect(host.shadowRoot.querySelector('style')).to.exist
+      expect(host.shadowRoot.querySelector('textarea').offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+    })
+
+    it('removes the style element once no textarea needs it', async () => {
+      await setup('element')
+      registry.destroy()
+      expect(styleElements()).to.be.empty
+    })
+  })
+
+  describe('inline styles', () => {
+    it('sizes textareas through their style attribute', async () => {
+      const textarea = await setup('inline')
+      expect(textarea.offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+
+      textarea.value = 'Line 1'
+      await settle()
+      expect(textarea.offsetHeight).to.equal(ONE_LINE_HEIGHT)
+    })
+
+    it('keeps the inline styles the page set and restores them on detach', async () => {
+      const textarea = await setup('inline', `<textarea class="sized" style="${TA_STYLE} overflow-x: scroll;">${FIVE_LINES}</textarea>`)
+      expect(textarea.style.height).to.equal(`${FIVE_LINES_HEIGHT}px`)
+      expect(textarea.style.width).to.equal('200px')
+
+      registry.detach(textarea)
+
+      expect(textarea.style.height).to.equal('')
+      expect(textarea.style.overflowX).to.equal('scroll')
+      expect(textarea.style.getPropertyPriority('overflow-x')).to.equal('')
+    })
+
+    it('writes the styles again after a morph restores the style attribute', async () => {
+      const textarea = await setup('inline')
+
+      textarea.setAttribute('style', TA_STYLE)
+      registry.update(textarea)
+      registry.flush()
+
+      expect(textarea.offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+    })
+  })
+
+  describe('without ResizeObserver or CSS.escape, as in jsdom', () => {
+    const restorers = []
+    beforeEach(() => {
+      restorers.push(stub(window, 'ResizeObserver'), stub(window, 'CSS'))
+    })
+    afterEach(() => restorers.splice(0).forEach(restore => restore()))
+
+    it('sizes textareas with ids that need escaping', async () => {
+      const textarea = await setup(undefined, `<textarea id="1st: draft" class="sized" style="${TA_STYLE}">${FIVE_LINES}</textarea>`)
+      expect(textarea.offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+
+      textarea.value = 'Line 1'
+      await settle()
+      expect(textarea.offsetHeight).to.equal(ONE_LINE_HEIGHT)
+    })
+
+    it('sizes a textarea attached before it is inserted', async () => {
+      registry = createRegistry({ root: container, selector: 'textarea.sized' })
+      const textarea = document.createElement('textarea')
+      textarea.style.cssText = TA_STYLE
+      textarea.value = FIVE_LINES
+      registry.attach(textarea)
+
+      container.appendChild(textarea)
+      await settle()
+
+      expect(textarea.offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+    })
+  })
+})
@@ -0,0 +1,140 @@
+import { expect } from '@esm-bundle/chai'
+import { createRegistry } from '../src/pure-autosize.js'
+import {
+  settled,
+  setupTextarea,
+  expectHeightToIncrease,
+  expectHeightToDecrease,
+  expectHeightNotToChange,
+  simulateTyping,
+  simulatePaste,
+  simulateBackspace
+} from '../src/testing.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box;'
+const FIVE_LINES = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5'
+const FIVE_LINES_HEIGHT = 5 * 20 + 18
+
+async function rejection(promise) {
+  try {
+    await promise
+  } catch (error) {
+    return error
+  }
+  throw new Error('Expected the promise to reject')
+}
+
+describe('Testing entry point', () => {
+  afterEach(() => { document.body.innerHTML = '' })
+
+  describe('settled()', () => {
+    it('waits for a newly rendered textarea to be sized', async () => {
+      document.body.innerHTML = `<textarea autosize style="${TA_STYLE}">${FIVE_LINES}</textarea>`
+      await settled()
+      expect(document.querySelector('textarea').offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+    })
+
+    it('waits for a value change', async () => {
+      const textarea = await setupTextarea(`<textarea autosize style="${TA_STYLE}"></textarea>`)
+      textarea.value = FIVE_LINES
+      await settled()
+      expect(textarea.offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+    })
+
+    it('waits for a content mutation', async () => {
+      const textarea = await setupTextarea(`<textarea autosize style="${TA_STYLE}"></textarea>`)
+      textarea.textContent = FIVE_LINES
+      await settled()
+      expect(textarea.offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+    })
+
+    it('waits for a width change to be re-measured', async () => {
+      const textarea = await setupTextarea(`<textarea autosize style="${TA_STYLE}">${'word '.repeat(30)}</textarea>`)
+      const initialHeight = textarea.offsetHeight
+      textarea.style.width = '400px'
+      await settled()
+      expect(textarea.offsetHeight).to.be.lessThan(initialHeight)
+    })
+
+    it('waits for height transitions to finish', async () => {
+      const textarea = await setupTextarea(`<textarea autosize autosize-animate="100" style="${TA_STYLE}"></textarea>`)
+      textarea.value = FIVE_LINES
+      await settled()
+      expect(textarea.offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+    })
+
+    it('waits on the registry it is given', async () => {
+      const container = document.createElement('div')
+      document.body.appendChild(container)
+      const registry = createRegistry({ root: container, selector: 'textarea.custom' })
+      try {
+        const textarea = await setupTextarea(`<textarea class="custom" style="${TA_STYLE}"></textarea>`, { root: container, registry })
+        textarea.value = FIVE_LINES
+        await settled(registry)
+        expect(textarea.offsetHeight).to.equal(FIVE_LINES_HEIGHT)
+      } finally {
+        registry.destroy()
+      }
+    })
+  })
+
+  describe('height matchers', () => {
+    let textarea
+
+    beforeEach(async () => {
+      textarea = await setupTextarea(`<textarea autosize style="${TA_STYLE}">Line 1\nLine 2</textarea>`)
+    })
+
+    it('resolve with the final height when the expectation holds', async () => {
+      expect(await expectHeightToIncrease(textarea).when(() => { textarea.value = FIVE_LINES })).to.equal(FIVE_LINES_HEIGHT)
+      expect(await expectHeightToDecrease(textarea).when(() => { textarea.value = 'Line 1' })).to.equal(58)
+      expect(await expectHeightNotToChange(textarea).when(() => { textarea.value = 'Line 2' })).to.equal(58)
+    })
+
+    it('throw a plain Error when it does not', async () => {
+      const error = await rejection(expectHeightToIncrease(textarea).when(() => { textarea.value = 'Line 1' }))
+      expect(error).to.be.an.instanceof(Error)
+      expect(error.message).to.equal('Expected height to increase from 58, but got 58')
+
+      const decrease = await rejection(expectHeightToDecrease(textarea).when(() => { textarea.value = FIVE_LINES }))
+      expect(decrease.message).to.equal(`Expected height to decrease from 58, but got ${FIVE_LINES_HEIGHT}`)
+
+      const unchanged = await rejection(expectHeightNotToChange(textarea).when(() => { textarea.value = 'Line 1' }))
+      expect(unchanged.message).to.equal(`Expected height NOT to change from ${FIVE_LINES_HEIGHT}, but it changed to 58`)
+    })
+  })
+
+  describe('simulated input', () => {
+    it('types character by character, firing input for each one', async () => {
+      const textarea = await setupTextarea(`<textarea autosize style="${TA_STYLE}">Hi</textarea>`)
+      const values = []
+      textarea.addEventListener('input', () => values.push(textarea.value))
+
+      simulateTyping(textarea, '!\n')
+      expect(values).to.deep.equal(['Hi!', 'Hi!\n'])
+
+      simulateTyping(textarea, 'ab', { replace: true })
+      expect(values.slice(2)).to.deep.equal(['', 'a', 'ab'])
+    })
+
+    it('resizes the textarea like user input', async () => {
+      const textarea = await setupTextarea(`<textarea autosize style="${TA_STYLE}"></textarea>`)
+
+      await expectHeightToIncrease(textarea).when(() => simulatePaste(textarea, FIVE_LINES))
+      await expectHeightToDecrease(textarea).when(() => simulateBackspace(textarea, 'Line 4\nLine 5'.length + 1))
+      expect(textarea.value).to.equal('Line 1\nLine 2\nLine 3')
+    })
+
+    it('works on inputs', async () => {
+      document.body.innerHTML = '<input autosize style="font-size:14px; padding:4px;">'
+      await settled()
+      const input = document.querySelector('input')
+      const initialWidth = input.offsetWidth
+
+      simulateTyping(input, 'a considerably longer value')
+      await settled()
+
+      expect(input.offsetWidth).to.be.greaterThan(initialWidth)
+    })
+  })
+})
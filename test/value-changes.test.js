@@ -0,0 +1,114 @@
+import { expect } from '@esm-bundle/chai'
+import '../src/pure-autosize.js'
+import {
+  expectHeightToIncrease,
+  expectHeightToDecrease,
+  setupTextarea,
+  setupGlobalTestHooks
+} from './lib/test-helpers.js'
+
+const TA_STYLE = 'width:200px; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box;'
+const FIVE_LINES = 'Line 1\nLine 2\nLine 3\nLine 4\nLine 5'
+
+function settle(ms = 50) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+describe('Value changes that bypass the value setter', () => {
+  setupGlobalTestHooks()
+  afterEach(() => { document.body.innerHTML = '' })
+
+  describe('on a textarea the user has not edited', () => {
+    let textarea
+
+    beforeEach(async () => {
+      textarea = await setupTextarea(`<textarea autosize style="${TA_STYLE}"></textarea>`)
+    })
+
+    it('resizes when defaultValue is set', async () => {
+      await expectHeightToIncrease(textarea).when(async () => {
+        textarea.defaultValue = FIVE_LINES
+      })
+    })
+
+    it('resizes when textContent is set', async () => {
+      await expectHeightToIncrease(textarea).when(async () => {
+        textarea.textContent = FIVE_LINES
+      })
+    })
+
+    it('resizes when innerHTML is set', async () => {
+      await expectHeightToIncrease(textarea).when(async () => {
+        textarea.innerHTML = FIVE_LINES
+      })
+    })
+
+    it('resizes when a morph swaps the text node', async () => {
+      await expectHeightToIncrease(textarea).when(async () => {
+        textarea.replaceChildren(document.createTextNode(FIVE_LINES))
+      })
+    })
+
+    it('resizes when the text node data changes in place', async () => {
+      textarea.textContent = 'One line'
+      await settle()
+
+      await expectHeightToIncrease(textarea).when(async () => {
+        textarea.firstChild.data = FIVE_LINES
+      })
+    })
+
+    it('shrinks when a morph shortens the text', async () => {
+      textarea.textContent = FIVE_LINES
+      await settle()
+
+      await expectHeightToDecrease(textarea).when(async () => {
+        textarea.textContent = 'One line'
+      })
+    })
+  })
+
+  it('resizes after setRangeText()', async () => {
+    const textarea = await setupTextarea(`<textarea autosize style="${TA_STYLE}"></textarea>`)
+
+    await expectHeightToIncrease(textarea).when(async () => {
+      textarea.setRangeText(FIVE_LINES, 0, 0, 'end')
+    })
+  })
+
+  it('shrinks after setRangeText() replaces lines', async () => {
+    const textarea = await setupTextarea(`<textarea autosize style="${TA_STYLE}">${FIVE_LINES}</textarea>`)
+
+    await expectHeightToDecrease(textarea).when(async () => {
+      textarea.setRangeText('One line', 0, textarea.value.length)
+    })
+  })
+
+  it("resizes after execCommand('insertText')", async () => {
+    const textarea = await setupTextarea(`<textarea autosize style="${TA_STYLE}"></textarea>`)
+    textarea.focus()
+
+    await expectHeightToIncrease(textarea).when(async () => {
+      document.execCommand('insertText', false, FIVE_LINES)
+    })
+  })
+
+  it("resizes an input whose value attribute changes", async () => {
+    document.body.innerHTML = '<input autosize style="font-size:14px; padding:4px;" value="a">'
+    await settle()
+    const input = document.querySelector('input')
+    const initialWidth = input.offsetWidth
+
+    input.setAttribute('value', 'a considerably longer value')
+    await settle()
+
+    expect(input.offsetWidth).to.be.greaterThan(initialWidth)
+  })
+
+  it('restores setRangeText when detached', async () => {
+    const textarea = await setupTextarea(`<textarea autosize style="${TA_STYLE}"></textarea>`)
+    expect(Object.prototype.hasOwnProperty.call(textarea, 'setRangeText')).to.be.true
+
+    window.autosizeRegistry.detach(textarea)
+
+    expect(Object.prototype.hasOwnProperty.call(textarea, 'setRangeText')).to.be.false
+  })
+})
@@ -0,0 +1,72 @@
+import { expect } from '@esm-bundle/chai'
+import '../src/pure-autosize.js'
+import {
+  expectHeightToIncrease,
+  expectHeightToDecrease,
+  setupGlobalTestHooks
+} from './lib/test-helpers.js'
+
+const TA_STYLE = 'width:100%; font-size:14px; line-height:20px; padding:8px; border:1px solid #ccc; box-sizing:border-box;'
+const LONG_TEXT = 'This is some long content that will wrap differently when the width of its container changes'
+
+function settle(ms = 50) { return new Promise(resolve => setTimeout(resolve, ms)) }
+
+function nextFrame() { return new Promise(resolve => requestAnimationFrame(resolve)) }
+
+async function setupInContainer(width) {
+  document.body.innerHTML =
+    `<div id="container" style="width:${width}px"><textarea autosize style="${TA_STYLE}">${LONG_TEXT}</textarea></div>`
+  await settle()
+  return [document.getElementById('container'), document.querySelector('textarea')]
+}
+
+describe('Container width changes', () => {
+  setupGlobalTestHooks()
+  afterEach(() => { document.body.innerHTML = '' })
+
+  it('grows when its container narrows without a window resize', async () => {
+    const [container, textarea] = await setupInContainer(300)
+    await expectHeightToIncrease(textarea).when(async () => {
+      container.style.width = '120px'
+    })
+  })
+
+  it('shrinks when its container widens without a window resize', async () => {
+    const [container, textarea] = await setupInContainer(120)
+    await expectHeightToDecrease(textarea).when(async () => {
+      container.style.width = '400px'
+    })
+  })
+
+  it('re-measures before the frame the width changed in is painted', async () => {
+    const [container, textarea] = await setupInContainer(300)
+    const initialHeight = textarea.offsetHeight
+
+    container.style.width = '120px'
+    // Layout and ResizeObserver run after this frame's callbacks, and the
+    // next frame's run before anything scheduled from there
+    await nextFrame()
+    await nextFrame()
+
+    expect(textarea.offsetHeight).to.be.greaterThan(initialHeight)
+  })
+
+  it('does not re-measure for the height changes it makes itself', async () => {
+    const [, textarea] = await setupInContainer(200)
+    const originalGetComputedStyle = window.getComputedStyle
+    let measurements = 0
+    window.getComputedStyle = function(element, ...rest) {
+      if (element === textarea) measurements++
+      return originalGetComputedStyle.call(this, element, ...rest)
+    }
+
+    try {
+      textarea.value = `${LONG_TEXT}\n${LONG_TEXT}`
+      await settle(200)
+    } finally {
+      window.getComputedStyle = originalGetComputedStyle
+    }
+
+    expect(measurements).to.equal(1)
+  })
+})